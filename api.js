@@ -0,0 +1,300 @@
+/*
+ * Cliente HTTP compartilhado do Helsen IA. Usado pelo auth.js (login.html e
+ * index.html) e pelo script.js para todas as chamadas ao backend. Monta os
+ * headers a cada requisição (token, organização, fluxo e instância WhatsApp
+ * sempre lidos do localStorage), aplica timeout via AbortController, repete
+ * GETs com backoff em falhas transitórias, renova o token diante de um 401,
+ * envia arquivos informando o progresso (XHR) e converte qualquer falha em
+ * um único tipo de erro (ApiError) com status, código e mensagem em pt-BR.
+ */
+
+(() => {
+  // Mesma configuração de domínio/prefixo usada pelo restante do frontend
+  const BASE = (window.__BACKEND_BASE__ || 'https://plataforma-pac-lead-backend-production.up.railway.app').replace(/\/+$/, '');
+  const PREFIX = (typeof window.__API_PREFIX__ !== 'undefined' ? window.__API_PREFIX__ : '/api');
+
+  const DEFAULT_TIMEOUT_MS = 15000;
+  const DEFAULT_GET_RETRIES = 2;
+  const RETRY_BASE_DELAY_MS = 500;
+  // Status considerados transitórios (vale repetir um GET)
+  const RETRYABLE_STATUS = [408, 425, 429, 500, 502, 503, 504];
+
+  // Mensagens amigáveis por status HTTP
+  const STATUS_MESSAGES = {
+    400: 'Requisição inválida. Confira os dados informados.',
+    401: 'Sessão expirada. Faça login novamente.',
+    403: 'Você não tem permissão para realizar esta ação.',
+    404: 'Recurso não encontrado.',
+    408: 'O servidor demorou para responder. Tente novamente.',
+    409: 'Conflito: o registro foi alterado ou já existe.',
+    413: 'Arquivo ou conteúdo grande demais.',
+    422: 'Dados inválidos. Confira os campos e tente novamente.',
+    429: 'Muitas requisições em sequência. Aguarde alguns segundos.',
+    500: 'Erro interno no servidor. Tente novamente em instantes.',
+    502: 'Servidor indisponível no momento. Tente novamente em instantes.',
+    503: 'Serviço temporariamente indisponível. Tente novamente em instantes.',
+    504: 'O servidor demorou para responder. Tente novamente.'
+  };
+
+  /**
+   * Erro único das chamadas à API.
+   * - status: status HTTP (0 para falhas de rede/timeout)
+   * - code: código do backend (data.code/data.error) ou HTTP_<status>,
+   *   TIMEOUT, NETWORK
+   * - message: mensagem em pt-BR para exibir ao usuário
+   * - detail: mensagem original do backend (quando houver)
+   * - data: corpo da resposta já interpretado
+   */
+  class ApiError extends Error {
+    constructor({ status = 0, code = 'UNKNOWN', message, detail = '', data = null } = {}) {
+      super(message || STATUS_MESSAGES[status] || 'Erro inesperado. Tente novamente.');
+      this.name = 'ApiError';
+      this.status = status;
+      this.code = code;
+      this.detail = detail;
+      this.data = data;
+    }
+  }
+
+  const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+  // Resolve caminhos relativos ao prefixo da API; URLs absolutas passam direto
+  const url = (path) => {
+    const p = String(path || '');
+    if (/^https?:\/\//i.test(p)) return p;
+    if (p.startsWith(`${PREFIX}/`)) return `${BASE}${p}`;
+    return `${BASE}${PREFIX}${p.startsWith('/') ? p : `/${p}`}`;
+  };
+
+  /**
+   * Monta os headers da sessão atual. Lidos do storage a cada chamada para
+   * refletir troca de organização, de instância e renovação do token.
+   * @param {{json?: boolean, auth?: boolean, instance?: boolean}} opts
+   */
+  function headers({ json = true, auth = true, instance = true } = {}) {
+    const h = {};
+    if (json) {
+      h['Content-Type'] = 'application/json';
+      h['Accept'] = 'application/json';
+    }
+    try {
+      h['X-Org-ID'] = localStorage.getItem('org_id') || '1';
+      h['X-Flow-ID'] = localStorage.getItem('flow_id') || '1';
+      const token = localStorage.getItem('token');
+      if (auth && token) h['Authorization'] = `Bearer ${token}`;
+      if (instance) {
+        const inst = localStorage.getItem('wa_instance');
+        const instTok = localStorage.getItem('wa_token');
+        if (inst) h['X-Instance-ID'] = inst;
+        if (instTok) h['X-Instance-Token'] = instTok;
+      }
+    } catch (_) {}
+    return h;
+  }
+
+  // IDs numéricos da organização/fluxo ativos (usados em payloads)
+  const orgId = () => { try { return localStorage.getItem('org_id') || '1'; } catch (_) { return '1'; } };
+  const flowId = () => { try { return localStorage.getItem('flow_id') || '1'; } catch (_) { return '1'; } };
+
+  /**
+   * Lê o corpo da resposta (JSON ou texto) e lança ApiError se o status
+   * não for OK.
+   * @param {Response} res Resposta fetch
+   */
+  async function parseResponse(res) {
+    const text = await res.text();
+    let data;
+    try {
+      data = text ? JSON.parse(text) : {};
+    } catch (_) {
+      data = { message: text };
+    }
+    if (!res.ok) {
+      const detail = (data && (data.message || data.error || data.detail)) || text || '';
+      const backendCode = data && (data.code || (typeof data.error === 'string' && /^[\w.:-]{2,40}$/.test(data.error) ? data.error : ''));
+      throw new ApiError({
+        status: res.status,
+        code: backendCode || `HTTP_${res.status}`,
+        detail: typeof detail === 'string' ? detail : JSON.stringify(detail),
+        data
+      });
+    }
+    return data;
+  }
+
+  // Uma tentativa de fetch com timeout; falhas de rede viram ApiError
+  async function fetchOnce(target, init, timeoutMs) {
+    const ctrl = new AbortController();
+    const t = setTimeout(() => ctrl.abort(), timeoutMs);
+    const outer = init.signal;
+    if (outer) outer.addEventListener('abort', () => ctrl.abort(), { once: true });
+    try {
+      return await fetch(target, { ...init, signal: ctrl.signal });
+    } catch (err) {
+      if (outer && outer.aborted) throw err;
+      if (err && err.name === 'AbortError') {
+        throw new ApiError({ status: 0, code: 'TIMEOUT', message: STATUS_MESSAGES[408] });
+      }
+      throw new ApiError({ status: 0, code: 'NETWORK', message: 'Sem conexão com o servidor. Verifique sua internet.' });
+    } finally {
+      clearTimeout(t);
+    }
+  }
+
+  /**
+   * Executa uma chamada ao backend.
+   * @param {string} path Caminho relativo ao prefixo (ex.: '/products') ou URL absoluta
+   * @param {object} [opts]
+   * @param {string} [opts.method='GET']
+   * @param {*} [opts.body] Objeto (enviado como JSON), string ou FormData
+   * @param {object} [opts.headers] Headers extras (sobrescrevem os padrões)
+   * @param {boolean} [opts.auth=true] Envia o token e renova diante de 401
+   * @param {number} [opts.timeout=15000] Tempo máximo por tentativa (ms)
+   * @param {number} [opts.retries] Repetições extras (padrão 2 para GET, 0 para os demais)
+   * @param {boolean} [opts.raw=false] Devolve o Response em vez do corpo
+   * @param {AbortSignal} [opts.signal] Cancelamento externo
+   * @returns {Promise<any>}
+   */
+  async function request(path, opts = {}) {
+    const {
+      method = 'GET', body, auth = true, timeout = DEFAULT_TIMEOUT_MS,
+      raw = false, signal
+    } = opts;
+    const verb = method.toUpperCase();
+    const idempotent = verb === 'GET' || verb === 'HEAD';
+    const retries = typeof opts.retries === 'number' ? opts.retries : (idempotent ? DEFAULT_GET_RETRIES : 0);
+    const isForm = typeof FormData !== 'undefined' && body instanceof FormData;
+    const payload = body === undefined || body === null || typeof body === 'string' || isForm
+      ? body : JSON.stringify(body);
+
+    const session = window.HelsenAuth;
+    if (auth && session && session.ensureFreshToken) {
+      try {
+        await session.ensureFreshToken();
+      } catch (_) {
+        session.sessionExpired();
+        throw new ApiError({ status: 401, code: 'SESSION_EXPIRED' });
+      }
+    }
+
+    const build = () => ({
+      method: verb,
+      headers: { ...headers({ json: !isForm, auth }), ...(opts.headers || {}) },
+      body: payload,
+      signal
+    });
+
+    let refreshed = false;
+    for (let attempt = 0; ; attempt++) {
+      let res;
+      try {
+        res = await fetchOnce(url(path), build(), timeout);
+      } catch (err) {
+        if (err instanceof ApiError && idempotent && attempt < retries) {
+          await sleep(RETRY_BASE_DELAY_MS * 2 ** attempt + Math.random() * 200);
+          continue;
+        }
+        throw err;
+      }
+
+      // 401: renova o token uma única vez e repete a chamada
+      if (res.status === 401 && auth && !refreshed && session && session.refresh) {
+        refreshed = true;
+        try {
+          await session.refresh();
+        } catch (_) {
+          session.sessionExpired();
+          throw new ApiError({ status: 401, code: 'SESSION_EXPIRED' });
+        }
+        attempt--;
+        continue;
+      }
+
+      if (idempotent && attempt < retries && RETRYABLE_STATUS.includes(res.status)) {
+        const retryAfter = Number(res.headers.get('Retry-After'));
+        await sleep(retryAfter > 0 ? retryAfter * 1000 : RETRY_BASE_DELAY_MS * 2 ** attempt + Math.random() * 200);
+        continue;
+      }
+
+      if (raw) {
+        if (!res.ok) await parseResponse(res);
+        return res;
+      }
+      return parseResponse(res);
+    }
+  }
+
+  // Um envio via XHR (fetch não informa o progresso do upload)
+  function xhrOnce(target, formData, { timeout, auth, onProgress }) {
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open('POST', target);
+      xhr.timeout = timeout;
+      Object.entries(headers({ json: false, auth })).forEach(([k, v]) => xhr.setRequestHeader(k, v));
+      if (onProgress) {
+        xhr.upload.addEventListener('progress', (e) => {
+          if (e.lengthComputable) onProgress(e.loaded / e.total);
+        });
+      }
+      xhr.addEventListener('load', () => {
+        const body = [204, 205, 304].includes(xhr.status) ? null : xhr.responseText;
+        resolve(new Response(body, { status: xhr.status }));
+      });
+      xhr.addEventListener('timeout', () => reject(new ApiError({ status: 0, code: 'TIMEOUT', message: STATUS_MESSAGES[408] })));
+      xhr.addEventListener('error', () => reject(new ApiError({ status: 0, code: 'NETWORK', message: 'Sem conexão com o servidor. Verifique sua internet.' })));
+      xhr.send(formData);
+    });
+  }
+
+  /**
+   * Envia um FormData (POST) informando o progresso do upload.
+   * @param {string} path Caminho relativo ao prefixo ou URL absoluta
+   * @param {FormData} formData
+   * @param {object} [opts]
+   * @param {(fraction: number) => void} [opts.onProgress] Recebe de 0 a 1
+   * @param {boolean} [opts.auth=true] Envia o token e renova diante de 401
+   * @param {number} [opts.timeout=60000] Tempo máximo do envio (ms)
+   * @returns {Promise<any>}
+   */
+  async function upload(path, formData, { onProgress, auth = true, timeout = 60000 } = {}) {
+    const session = window.HelsenAuth;
+    if (auth && session && session.ensureFreshToken) {
+      try {
+        await session.ensureFreshToken();
+      } catch (_) {
+        session.sessionExpired();
+        throw new ApiError({ status: 401, code: 'SESSION_EXPIRED' });
+      }
+    }
+    let res = await xhrOnce(url(path), formData, { timeout, auth, onProgress });
+    // 401: renova o token uma única vez e reenvia
+    if (res.status === 401 && auth && session && session.refresh) {
+      try {
+        await session.refresh();
+      } catch (_) {
+        session.sessionExpired();
+        throw new ApiError({ status: 401, code: 'SESSION_EXPIRED' });
+      }
+      res = await xhrOnce(url(path), formData, { timeout, auth, onProgress });
+    }
+    return parseResponse(res);
+  }
+
+  window.HelsenApi = {
+    BASE,
+    PREFIX,
+    ApiError,
+    url,
+    headers,
+    orgId,
+    flowId,
+    parseResponse,
+    request,
+    upload,
+    get: (path, opts = {}) => request(path, { ...opts, method: 'GET' }),
+    post: (path, body, opts = {}) => request(path, { ...opts, method: 'POST', body }),
+    put: (path, body, opts = {}) => request(path, { ...opts, method: 'PUT', body }),
+    patch: (path, body, opts = {}) => request(path, { ...opts, method: 'PATCH', body }),
+    del: (path, opts = {}) => request(path, { ...opts, method: 'DELETE' })
+  };
+})();
@@ -8,12 +8,9 @@
  */
 
 (() => {
-  // Determina a URL base do backend. Permite configuração dinâmica
-  // via window.__BACKEND_BASE__ definida pela página. Usa uma URL
-  // de fallback apenas como exemplo; altere conforme seu ambiente.
-  const BASE = (window.__BACKEND_BASE__ || 'https://plataforma-pac-lead-backend-production.up.railway.app').replace(/\/+$/, '');
-  // Prefixo opcional para rotas da API (ex: '/api'); pode ser vazio
-  const PREFIX = (typeof window.__API_PREFIX__ !== 'undefined' ? window.__API_PREFIX__ : '/api');
+  // URL base do backend e prefixo das rotas vêm do cliente compartilhado
+  // (api.js), configurável via window.__BACKEND_BASE__ / __API_PREFIX__.
+  const { BASE, PREFIX } = window.HelsenApi;
   const API = (endpoint) => `${BASE}${PREFIX}${endpoint}`;
 
   const $ = (id) => document.getElementById(id);
@@ -30,20 +27,30 @@
   };
   const clearError = () => { if (errBox) { errBox.style.display = 'none'; errBox.textContent = ''; } };
 
-  // Helper para limitar tempo de requisições
+  // Mensagens informativas (sucesso) logo abaixo da caixa de erro
+  const infoBox = $('infoMsg');
+  const showInfo = (msg) => {
+    clearError();
+    if (infoBox) { infoBox.style.display = 'block'; infoBox.textContent = String(msg || ''); }
+  };
+  const clearInfo = () => { if (infoBox) { infoBox.style.display = 'none'; infoBox.textContent = ''; } };
+
+  // Alterna entre os estados do login.html: 'login', 'register', 'reset' ou 'mfa'
+  function showFormState(state) {
+    const forms = { login: $('login-form'), register: $('register-form'), reset: $('reset-form'), mfa: $('mfa-form') };
+    Object.keys(forms).forEach(k => { if (forms[k]) forms[k].style.display = k === state ? 'block' : 'none'; });
+  }
+
+  // Helper para limitar tempo de requisições. Delegado ao cliente
+  // compartilhado sem renovação automática (as rotas de auth cuidam disso).
   async function fetchJson(url, options = {}, timeoutMs = 15000) {
-    const ctrl = new AbortController();
-    const t = setTimeout(() => ctrl.abort(), timeoutMs);
-    try {
-      const res = await fetch(url, { ...options, signal: ctrl.signal });
-      return await parseJSON(res);
-    } finally {
-      clearTimeout(t);
-    }
+    return window.HelsenApi.request(url, { ...options, timeout: timeoutMs, auth: false, retries: 0 });
   }
 
-  // Tenta vários endpoints até autenticar (suporta URLs absolutas e relativas)
-  async function tryAuthEndpoints(paths, payload, headers) {
+  // Tenta vários endpoints até autenticar (suporta URLs absolutas e relativas).
+  // `accept` decide se a resposta conta como sucesso (padrão: veio token) e
+  // `failMsg` é a mensagem lançada quando nenhum endpoint aceita.
+  async function tryAuthEndpoints(paths, payload, headers, accept = (d) => !!extractToken(d), failMsg) {
     for (const p of paths) {
       const url = p.startsWith('http') ? p : (p.startsWith('/') ? `${BASE}${p}` : `${BASE}${PREFIX}${p}`);
       try {
@@ -52,14 +59,13 @@
           headers,
           body: JSON.stringify(payload)
         });
-        // Se retornou token, consideramos sucesso
-        const tok = extractToken(data);
-        if (tok) return data;
+        // Por padrão, se retornou token, consideramos sucesso
+        if (accept(data)) return data;
       } catch (e) {
         // tenta o próximo
       }
     }
-    throw new Error('Não foi possível autenticar. Verifique suas credenciais ou tente mais tarde.');
+    throw new Error(failMsg || 'Não foi possível autenticar. Verifique suas credenciais ou tente mais tarde.');
   }
 
   // Botão em estado "carregando"
@@ -81,26 +87,6 @@
     showError(msg);
   };
 
-  /**
-   * Converte a resposta de uma requisição em JSON, lançando um erro
-   * com a mensagem apropriada caso o status HTTP não seja OK.
-   * @param {Response} res Resposta fetch
-   */
-  const parseJSON = async (res) => {
-    const text = await res.text();
-    let data;
-    try {
-      data = text ? JSON.parse(text) : {};
-    } catch (_) {
-      data = { message: text };
-    }
-    if (!res.ok) {
-      const m = data.message || data.error || `HTTP ${res.status}`;
-      throw new Error(m);
-    }
-    return data;
-  };
-
   /**
    * Tenta extrair o token JWT de diferentes formatos de resposta.
    * Suporta campos: token, jwt, access_token, data.token, data.jwt, etc.
@@ -118,20 +104,167 @@
    * @param {object} data Objeto retornado pela API
    */
   const extractOrg = (data) =>
-    data.org_id || data.orgId || (data.user && (data.user.org_id || data.user.orgId)) || '1';
+    data.org_id || data.orgId || (data.user && (data.user.org_id || data.user.orgId)) ||
+    (extractOrgs(data)[0] || {}).id || '1';
+
+  /**
+   * Extrai a lista de organizações do usuário (agências gerenciam várias).
+   * Cada item é normalizado para { id, name, flow_id }.
+   * @param {object} data Objeto retornado pela API
+   * @returns {Array<{id: string, name: string, flow_id: string|null}>}
+   */
+  const extractOrgs = (data) => {
+    const raw = data.organizations || data.orgs ||
+      (data.user && (data.user.organizations || data.user.orgs)) ||
+      (data.data && (data.data.organizations || data.data.orgs)) || [];
+    return (Array.isArray(raw) ? raw : []).map(o => ({
+      id: String(o.id ?? o.org_id ?? o.orgId),
+      name: o.name || o.nome_fantasia || o.razao_social || `Organização ${o.id ?? o.org_id ?? o.orgId}`,
+      flow_id: o.flow_id ?? o.flowId ?? o.default_flow_id ?? null
+    })).filter(o => o.id && o.id !== 'undefined');
+  };
   const extractFlow = (data) =>
     data.flow_id || data.flowId || (data.user && (data.user.flow_id || data.user.flowId)) || '1';
 
   /**
-   * Persiste no localStorage os dados de autenticação necessários.
+   * Detecta quando o login exige o segundo fator (TOTP) e extrai o id do
+   * desafio que deve acompanhar o código de 6 dígitos.
    * @param {object} data Objeto retornado pela API
    */
-  const saveAuthData = (data) => {
+  const isMfaRequired = (data) =>
+    !!(data.mfa_required || data.mfaRequired || data.two_factor_required ||
+      (data.data && (data.data.mfa_required || data.data.mfaRequired)));
+  const extractMfaChallenge = (data) =>
+    data.challenge_id || data.challengeId || data.mfa_token ||
+    (data.data && (data.data.challenge_id || data.data.challengeId || data.data.mfa_token)) || null;
+
+  /**
+   * Extrai o refresh token (quando o backend o fornece) dos mesmos formatos
+   * de resposta aceitos por extractToken.
+   * @param {object} data Objeto retornado pela API
+   * @returns {string|null}
+   */
+  const extractRefreshToken = (data) =>
+    data.refresh_token || data.refreshToken ||
+    (data.data && (data.data.refresh_token || data.data.refreshToken)) ||
+    (data.user && (data.user.refresh_token || data.user.refreshToken)) || null;
+
+  /**
+   * Decodifica o payload de um JWT (sem validar assinatura). Retorna null
+   * se o token não for um JWT legível.
+   * @param {string} token Token JWT
+   * @returns {object|null}
+   */
+  const decodeTokenPayload = (token) => {
+    try {
+      const part = String(token || '').split('.')[1];
+      if (!part) return null;
+      const b64 = part.replace(/-/g, '+').replace(/_/g, '/');
+      const json = JSON.parse(atob(b64.padEnd(b64.length + (4 - b64.length % 4) % 4, '=')));
+      return json && typeof json === 'object' ? json : null;
+    } catch (_) {
+      return null;
+    }
+  };
+
+  /**
+   * Devolve o claim `exp` do JWT em milissegundos (ou null).
+   * @param {string} token Token JWT
+   * @returns {number|null}
+   */
+  const decodeTokenExp = (token) => {
+    const json = decodeTokenPayload(token);
+    return json && typeof json.exp === 'number' ? json.exp * 1000 : null;
+  };
+
+  /*** ============================== PAPÉIS / PERMISSÕES ============================== ***/
+  // Seções do index.html (ids de .content-section) na ordem do menu lateral
+  const SECTIONS = ['analysis', 'inbox', 'company', 'agent-config', 'wa', 'products', 'payments', 'security'];
+  // Seções liberadas por papel; '*' libera todas. Atendentes veem análise e
+  // conversas (e o chatbot, que fica fora das seções), mas não cobrança nem empresa.
+  const ROLE_SECTIONS = {
+    owner: '*',
+    manager: ['analysis', 'inbox', 'company', 'agent-config', 'wa', 'products', 'security'],
+    attendant: ['analysis', 'inbox', 'security']
+  };
+
+  /**
+   * Converte nomes de papel vindos do backend (pt-BR ou inglês) para
+   * owner, manager ou attendant. Papéis desconhecidos viram attendant.
+   * @param {string} raw Papel informado pela API
+   */
+  const normalizeRole = (raw) => {
+    const r = String(raw || '').toLowerCase();
+    if (['owner', 'admin', 'dono', 'proprietario', 'proprietário', 'superadmin'].includes(r)) return 'owner';
+    if (['manager', 'gerente', 'gestor'].includes(r)) return 'manager';
+    return 'attendant';
+  };
+
+  // Lista de seções permitidas para a sessão atual. Sem papel salvo vale o
+  // menor acesso (atendente) até o /auth/me informar o papel real.
+  const allowedSections = () => {
+    try {
+      const perms = JSON.parse(localStorage.getItem('user_permissions') || 'null');
+      if (Array.isArray(perms)) return SECTIONS.filter(s => perms.includes(s));
+    } catch (_) {}
+    const role = localStorage.getItem('user_role');
+    const allowed = ROLE_SECTIONS[role] || ROLE_SECTIONS.attendant;
+    return allowed === '*' ? SECTIONS.slice() : SECTIONS.filter(s => allowed.includes(s));
+  };
+
+  // Esconde (antes da pintura) as seções que a sessão não pode ver
+  const applyGuardStyle = () => {
+    const old = document.getElementById('auth-guard-style');
+    if (old) old.remove();
+    const denied = SECTIONS.filter(s => !allowedSections().includes(s));
+    if (!denied.length) return;
+    const style = document.createElement('style');
+    style.id = 'auth-guard-style';
+    style.textContent = denied.map(s => `#${s}`).join(', ') + ' { display: none !important; }';
+    document.head.appendChild(style);
+  };
+
+  /**
+   * Persiste papel e permissões da resposta (login ou /auth/me).
+   * @param {object} data Objeto retornado pela API
+   */
+  const saveRoleData = (data) => {
+    const role = d => d.role || (d.user && d.user.role) || (d.data && d.data.user && d.data.user.role) || '';
+    const perms = d => d.permissions || (d.user && d.user.permissions) ||
+      (d.data && d.data.user && d.data.user.permissions) || null;
+    if (role(data)) localStorage.setItem('user_role', normalizeRole(role(data)));
+    else localStorage.removeItem('user_role');
+    if (Array.isArray(perms(data))) localStorage.setItem('user_permissions', JSON.stringify(perms(data)));
+    else localStorage.removeItem('user_permissions');
+  };
+
+  /**
+   * Persiste apenas o token de acesso, seu vencimento e o refresh token.
+   * Usado no login e também na renovação silenciosa da sessão.
+   * @param {object} data Objeto retornado pela API
+   */
+  const saveTokens = (data) => {
     const token = extractToken(data);
     if (!token) throw new Error('Resposta sem token');
     localStorage.setItem('token', token);
+    const exp = decodeTokenExp(token);
+    if (exp) localStorage.setItem('token_exp', String(exp));
+    else localStorage.removeItem('token_exp');
+    const refresh = extractRefreshToken(data);
+    if (refresh) localStorage.setItem('refresh_token', refresh);
+  };
+
+  /**
+   * Persiste no localStorage os dados de autenticação necessários.
+   * @param {object} data Objeto retornado pela API
+   */
+  const saveAuthData = (data) => {
+    saveTokens(data);
     localStorage.setItem('org_id', String(extractOrg(data)));
     localStorage.setItem('flow_id', String(extractFlow(data)));
+    const orgs = extractOrgs(data);
+    if (orgs.length) localStorage.setItem('orgs', JSON.stringify(orgs));
+    else localStorage.removeItem('orgs');
     // Armazena também o nome do usuário (se fornecido) para exibir mensagens de saudação
     try {
       const extractName = (d) =>
@@ -147,6 +280,11 @@
       if (tax) {
         localStorage.setItem('tax_id', tax);
       }
+      // Papel e permissões decidem quais seções do dashboard ficam visíveis
+      saveRoleData(data);
+      // Guarda se a conta já usa autenticação em dois fatores (tela Segurança)
+      const mfa = data.mfa_enabled ?? (data.user && data.user.mfa_enabled);
+      if (typeof mfa === 'boolean') localStorage.setItem('mfa_enabled', mfa ? '1' : '0');
     } catch (_) {
       // Ignora erros de armazenamento do nome
     }
@@ -156,12 +294,41 @@
    * Headers padrão, incluindo IDs de organização e fluxo lidos do
    * localStorage caso já existam. Útil para chamadas autenticadas.
    */
-  const defaultHeaders = () => ({
-    'Content-Type': 'application/json',
-    'Accept': 'application/json',
-    'X-Org-ID': localStorage.getItem('org_id') || '1',
-    'X-Flow-ID': localStorage.getItem('flow_id') || '1'
-  });
+  const defaultHeaders = () => window.HelsenApi.headers({ auth: false, instance: false });
+
+  // Headers padrão + Bearer do token atual, para rotas que exigem sessão
+  const authHeaders = () => window.HelsenApi.headers({ instance: false });
+
+  // Desafio de segundo fator pendente (login aguardando o código TOTP)
+  let pendingMfa = null;
+
+  /*** ============================== SESSÃO / REFRESH ============================== ***/
+  // Margem antes do `exp` em que o token já é tratado como vencido
+  const EXPIRY_SKEW_MS = 60 * 1000;
+  let refreshInFlight = null;
+  let refreshTimer = null;
+
+  // Lê o vencimento do token atual (persistido ou decodificado na hora)
+  const getTokenExp = () => {
+    const stored = Number(localStorage.getItem('token_exp'));
+    if (stored) return stored;
+    return decodeTokenExp(localStorage.getItem('token'));
+  };
+  const isTokenExpired = (skewMs = EXPIRY_SKEW_MS) => {
+    const exp = getTokenExp();
+    return !!exp && Date.now() >= exp - skewMs;
+  };
+
+  // Agenda a renovação silenciosa um pouco antes do vencimento
+  function scheduleRefresh() {
+    if (refreshTimer) { clearTimeout(refreshTimer); refreshTimer = null; }
+    const exp = getTokenExp();
+    if (!exp) return;
+    const wait = Math.max(0, exp - EXPIRY_SKEW_MS - Date.now());
+    refreshTimer = setTimeout(() => {
+      window.HelsenAuth.refresh().catch(() => window.HelsenAuth.sessionExpired());
+    }, wait);
+  }
 
   // ======================== API global para o login.html ========================
   // Se o login.html tiver fallback, ele usará window.HelsenAuth.
@@ -178,9 +345,78 @@
         `/api/auth/login`,  // redundâncias por compatibilidade
         `/api/login`
       ];
-      const data = await tryAuthEndpoints(paths, payload, headers);
-      saveAuthData(data);
+      const data = await tryAuthEndpoints(paths, payload, headers,
+        (d) => !!extractToken(d) || isMfaRequired(d));
       try { localStorage.setItem('remember_email', email); } catch(_) {}
+      // Segundo fator: só salvamos a sessão depois de verifyMfaLogin
+      if (!extractToken(data) && isMfaRequired(data)) {
+        pendingMfa = { challengeId: extractMfaChallenge(data), email };
+        return { ...data, mfaRequired: true, challengeId: pendingMfa.challengeId };
+      }
+      saveAuthData(data);
+      return data;
+    },
+    /**
+     * Conclui um login que exigiu segundo fator enviando o código TOTP.
+     */
+    async verifyMfaLogin({ challengeId, code }) {
+      const headers = defaultHeaders();
+      const challenge = challengeId || (pendingMfa && pendingMfa.challengeId);
+      const payload = { challenge_id: challenge, mfa_token: challenge, code };
+      const paths = [
+        `${PREFIX}/auth/mfa/verify`,
+        `${PREFIX}/auth/2fa/verify`,
+        `${PREFIX}/mfa/verify`,
+        `/api/auth/mfa/verify` // redundância por compatibilidade
+      ];
+      const data = await tryAuthEndpoints(paths, payload, headers, undefined,
+        'Código inválido ou expirado. Confira o app autenticador.');
+      saveAuthData(data);
+      pendingMfa = null;
+      return data;
+    },
+    /**
+     * Inicia a ativação do TOTP para a conta logada. Resolve com o segredo e
+     * a URL otpauth:// que o dashboard desenha como QR code.
+     */
+    async mfaEnroll() {
+      const paths = [
+        `${PREFIX}/auth/mfa/enroll`,
+        `${PREFIX}/auth/2fa/enroll`,
+        `${PREFIX}/mfa/enroll`
+      ];
+      const data = await tryAuthEndpoints(paths, {}, authHeaders(),
+        (d) => !!(d.otpauth_url || d.otpauthUrl || d.uri || (d.data && (d.data.otpauth_url || d.data.uri))),
+        'Não foi possível iniciar a autenticação em dois fatores.');
+      const d = data.data || data;
+      return { secret: d.secret || '', otpauthUrl: d.otpauth_url || d.otpauthUrl || d.uri };
+    },
+    /**
+     * Confirma a ativação do TOTP com o primeiro código gerado pelo app.
+     */
+    async mfaVerify({ code }) {
+      const paths = [
+        `${PREFIX}/auth/mfa/enroll/verify`,
+        `${PREFIX}/auth/mfa/confirm`,
+        `${PREFIX}/auth/2fa/confirm`
+      ];
+      const data = await tryAuthEndpoints(paths, { code }, authHeaders(), () => true,
+        'Código inválido. Confira o app autenticador e tente novamente.');
+      try { localStorage.setItem('mfa_enabled', '1'); } catch (_) {}
+      return data;
+    },
+    /**
+     * Desativa o TOTP da conta. Exige um código atual do app autenticador.
+     */
+    async mfaDisable({ code }) {
+      const paths = [
+        `${PREFIX}/auth/mfa/disable`,
+        `${PREFIX}/auth/2fa/disable`,
+        `${PREFIX}/mfa/disable`
+      ];
+      const data = await tryAuthEndpoints(paths, { code }, authHeaders(), () => true,
+        'Não foi possível desativar a autenticação em dois fatores.');
+      try { localStorage.setItem('mfa_enabled', '0'); } catch (_) {}
       return data;
     },
     async register({ name, email, password, tax_id }) {
@@ -197,6 +433,164 @@
       const data = await tryAuthEndpoints(paths, payload, headers);
       saveAuthData(data);
       return data;
+    },
+    /**
+     * Solicita o email de recuperação de senha. O backend deve enviar um link
+     * para `redirect_url` com `?reset_token=` anexado.
+     */
+    async requestPasswordReset({ email }) {
+      const headers = defaultHeaders();
+      const payload = { email, redirect_url: `${location.origin}${location.pathname}` };
+      const paths = [
+        `${PREFIX}/auth/forgot-password`,
+        `${PREFIX}/auth/password/forgot`,
+        `${PREFIX}/password/forgot`,
+        `/api/auth/forgot-password` // redundância por compatibilidade
+      ];
+      return tryAuthEndpoints(paths, payload, headers, () => true,
+        'Não foi possível solicitar a recuperação de senha. Tente mais tarde.');
+    },
+    /**
+     * Define uma nova senha a partir do token recebido no link de recuperação.
+     */
+    async resetPassword({ token, password }) {
+      const headers = defaultHeaders();
+      const payload = { token, reset_token: token, password };
+      const paths = [
+        `${PREFIX}/auth/reset-password`,
+        `${PREFIX}/auth/password/reset`,
+        `${PREFIX}/password/reset`,
+        `/api/auth/reset-password` // redundância por compatibilidade
+      ];
+      return tryAuthEndpoints(paths, payload, headers, () => true,
+        'Link de recuperação inválido ou expirado. Solicite um novo.');
+    },
+    /**
+     * Renova o token de acesso usando o refresh token salvo. Chamadas
+     * simultâneas compartilham a mesma requisição. Resolve com o novo token.
+     */
+    refresh() {
+      if (refreshInFlight) return refreshInFlight;
+      refreshInFlight = (async () => {
+        const headers = defaultHeaders();
+        const current = localStorage.getItem('token');
+        if (current) headers['Authorization'] = `Bearer ${current}`;
+        const payload = { refresh_token: localStorage.getItem('refresh_token') || undefined };
+        const paths = [
+          `${PREFIX}/auth/refresh`,
+          `${PREFIX}/refresh`,
+          `${PREFIX}/auth/token/refresh`,
+          `/api/auth/refresh` // redundância por compatibilidade
+        ];
+        const data = await tryAuthEndpoints(paths, payload, headers);
+        saveTokens(data);
+        scheduleRefresh();
+        return extractToken(data);
+      })();
+      refreshInFlight.finally(() => { refreshInFlight = null; }).catch(() => {});
+      return refreshInFlight;
+    },
+    /**
+     * Garante um token válido antes de uma chamada: renova se estiver
+     * prestes a vencer. Resolve com o token atual (ou null).
+     */
+    async ensureFreshToken() {
+      if (localStorage.getItem('token') && isTokenExpired()) await this.refresh();
+      return localStorage.getItem('token');
+    },
+    isTokenExpired,
+    /** Organizações salvas no login ([{ id, name, flow_id }]). */
+    getOrganizations() {
+      try { return JSON.parse(localStorage.getItem('orgs') || '[]'); } catch (_) { return []; }
+    },
+    /**
+     * Busca no backend as organizações do usuário e atualiza o storage.
+     * Usado quando a resposta do login não trouxe a lista.
+     */
+    async fetchOrganizations() {
+      const paths = [`${PREFIX}/orgs`, `${PREFIX}/organizations`, `${PREFIX}/auth/me`];
+      for (const p of paths) {
+        try {
+          const data = await fetchJson(`${BASE}${p}`, { headers: authHeaders() });
+          const orgs = extractOrgs(Array.isArray(data) ? { orgs: data } : (data.items ? { orgs: data.items } : data));
+          if (orgs.length) {
+            localStorage.setItem('orgs', JSON.stringify(orgs));
+            return orgs;
+          }
+        } catch (_) {
+          // tenta o próximo
+        }
+      }
+      return this.getOrganizations();
+    },
+    /**
+     * Troca a organização ativa sem sair da conta. Atualiza org_id/flow_id
+     * (lidos a cada requisição) e avisa a página via evento
+     * `helsen:org-changed` com { orgId, flowId, previousOrgId }.
+     */
+    switchOrg(orgId) {
+      const id = String(orgId);
+      const org = this.getOrganizations().find(o => String(o.id) === id);
+      if (!org) throw new Error('Organização não encontrada.');
+      const previousOrgId = localStorage.getItem('org_id');
+      const flowId = String(org.flow_id || '1');
+      localStorage.setItem('org_id', id);
+      localStorage.setItem('flow_id', flowId);
+      window.dispatchEvent(new CustomEvent('helsen:org-changed', { detail: { orgId: id, flowId, previousOrgId } }));
+      return org;
+    },
+    /** Papel normalizado da sessão atual (owner, manager ou attendant). */
+    getRole() {
+      return localStorage.getItem('user_role') || 'attendant';
+    },
+    /**
+     * Busca o papel da sessão em /auth/me (login sem papel na resposta),
+     * reaplica a guarda e avisa a página via evento `helsen:role-changed`.
+     */
+    async fetchRole() {
+      const data = await fetchJson(`${BASE}${PREFIX}/auth/me`, { headers: authHeaders() });
+      saveRoleData(data || {});
+      applyGuardStyle();
+      window.dispatchEvent(new CustomEvent('helsen:role-changed', { detail: { role: this.getRole() } }));
+      return this.getRole();
+    },
+    /** Indica se a seção (id da .content-section) está liberada para a sessão. */
+    canAccess(sectionId) {
+      return !SECTIONS.includes(sectionId) || allowedSections().includes(sectionId);
+    },
+    allowedSections,
+    /**
+     * Guarda de rota do dashboard. Deve rodar no <head>, antes de qualquer
+     * seção ser pintada: volta ao login sem token (ou com token inválido /
+     * vencido sem refresh) e esconde as seções que o papel não permite.
+     */
+    guard() {
+      const token = localStorage.getItem('token');
+      if (!token) { location.replace('login.html'); return false; }
+      // Token com cara de JWT mas payload ilegível é tratado como inválido
+      if (token.split('.').length === 3 && !decodeTokenPayload(token)) {
+        this.sessionExpired();
+        return false;
+      }
+      if (isTokenExpired(0) && !localStorage.getItem('refresh_token')) {
+        this.sessionExpired();
+        return false;
+      }
+      applyGuardStyle();
+      if (!localStorage.getItem('user_role') && !localStorage.getItem('user_permissions')) {
+        this.fetchRole().catch(err => console.error(err));
+      }
+      return true;
+    },
+    /**
+     * Encerra a sessão local e volta ao login avisando que a sessão expirou.
+     */
+    sessionExpired() {
+      if (refreshTimer) { clearTimeout(refreshTimer); refreshTimer = null; }
+      try {
+        ['token', 'token_exp', 'refresh_token', 'user_role', 'user_permissions'].forEach(k => localStorage.removeItem(k));
+      } catch (_) {}
+      location.href = 'login.html?expired=1';
     }
   };
 
@@ -234,16 +628,28 @@
         data = await window.HelsenAuth.login({ email, password });
       } catch (err1) {
         // 2) Fallback: mantém a chamada original a /auth/login (NÃO removida)
-        const res = await fetch(API('/auth/login'), {
+        data = await fetchJson(API('/auth/login'), {
           method: 'POST',
           headers: defaultHeaders(),
           body: JSON.stringify({ email, password })
         });
-        data = await parseJSON(res);
-        saveAuthData(data);
+        if (!extractToken(data) && isMfaRequired(data)) {
+          pendingMfa = { challengeId: extractMfaChallenge(data), email };
+          data = { ...data, mfaRequired: true };
+        } else {
+          saveAuthData(data);
+        }
         try { localStorage.setItem('remember_email', email); } catch(_) {}
       }
 
+      // 3) Conta com segundo fator: troca para o formulário do código
+      if (data && data.mfaRequired) {
+        showFormState('mfa');
+        const codeEl = $('mfa-code');
+        if (codeEl) { codeEl.value = ''; codeEl.focus(); }
+        return;
+      }
+
       // redireciona para o dashboard após login (ajuste para index.html)
       location.href = 'index.html';
     } catch (err) {
@@ -288,12 +694,11 @@
         data = await window.HelsenAuth.register({ name, email, password, tax_id: taxDigits });
       } catch (err1) {
         // 2) Fallback: mantém a chamada original a /auth/register (NÃO removida)
-        const res = await fetch(API('/auth/register'), {
+        data = await fetchJson(API('/auth/register'), {
           method: 'POST',
           headers: defaultHeaders(),
           body: JSON.stringify({ name, email, password, tax_id: taxDigits })
         });
-        data = await parseJSON(res);
         const token = extractToken(data);
         if (token) {
           saveAuthData(data);
@@ -326,6 +731,89 @@
     }
   }
 
+  // Token vindo do link de recuperação (login.html?reset_token=...); é
+  // descartado (da variável e da URL) assim que a senha é redefinida.
+  let resetToken = new URLSearchParams(location.search).get('reset_token');
+
+  // Alterna o formulário de recuperação entre pedir o link e gravar a nova senha
+  function setResetStep(withToken) {
+    const requestStep = $('reset-request-step');
+    const passwordStep = $('reset-password-step');
+    if (requestStep) requestStep.style.display = withToken ? 'none' : 'block';
+    if (passwordStep) passwordStep.style.display = withToken ? 'block' : 'none';
+    const submit = $('reset-submit');
+    if (submit) submit.textContent = withToken ? 'Redefinir senha' : 'Enviar link de recuperação';
+  }
+
+  // Remove o reset_token da URL, mantendo os demais parâmetros
+  function clearResetToken() {
+    resetToken = null;
+    try {
+      const params = new URLSearchParams(location.search);
+      params.delete('reset_token');
+      const search = params.toString();
+      history.replaceState(null, '', `${location.pathname}${search ? `?${search}` : ''}${location.hash}`);
+    } catch (_) {}
+  }
+
+  // Manipulador do formulário de recuperação: solicita o link ou, quando a
+  // página foi aberta pelo link, grava a nova senha.
+  async function handleReset(e) {
+    e.preventDefault();
+    if (alreadyHandled(e)) return;
+    clearError();
+    clearInfo();
+
+    const btn = $('reset-submit');
+    setLoading(btn, true);
+    try {
+      if (resetToken) {
+        const password = ($('reset-password') && $('reset-password').value) || '';
+        const confirm = ($('reset-password-confirm') && $('reset-password-confirm').value) || '';
+        if (!password) { showError('Informe a nova senha.'); return; }
+        if (password !== confirm) { showError('As senhas não conferem.'); return; }
+        await window.HelsenAuth.resetPassword({ token: resetToken, password });
+        clearResetToken();
+        ['reset-password', 'reset-password-confirm'].forEach(id => { if ($(id)) $(id).value = ''; });
+        setResetStep(false);
+        showFormState('login');
+        showInfo('Senha redefinida com sucesso. Entre com a nova senha.');
+      } else {
+        const email = (($('reset-email') && $('reset-email').value) || '').trim();
+        if (!email) { showError('Informe o email da sua conta.'); return; }
+        await window.HelsenAuth.requestPasswordReset({ email });
+        showInfo('Se o email estiver cadastrado, você receberá um link para redefinir a senha.');
+      }
+    } catch (err) {
+      showErrorOriginal(err.message || 'Falha na recuperação de senha.');
+    } finally {
+      setLoading(btn, false);
+    }
+  }
+
+  // Manipulador do formulário do código de 6 dígitos (segundo fator)
+  async function handleMfa(e) {
+    e.preventDefault();
+    if (alreadyHandled(e)) return;
+    clearError();
+
+    const codeEl = $('mfa-code');
+    const btn = $('mfa-submit');
+    const code = ((codeEl && codeEl.value) || '').replace(/\D/g, '');
+    if (code.length !== 6) { showError('Informe o código de 6 dígitos do app autenticador.'); return; }
+
+    setLoading(btn, true);
+    try {
+      await window.HelsenAuth.verifyMfaLogin({ code });
+      location.href = 'index.html';
+    } catch (err) {
+      showErrorOriginal(err.message || 'Falha na verificação do código.');
+      if (codeEl) { codeEl.value = ''; codeEl.focus(); }
+    } finally {
+      setLoading(btn, false);
+    }
+  }
+
   // Wrappers em CAPTURA para evitar handlers duplicados do login.html
   function captureLoginWrapper(e) {
     // intercepta no capture, impede propagação e chama uma única vez
@@ -343,9 +831,34 @@
     handleRegister(e);
   }
 
+  function captureResetWrapper(e) {
+    if (!e) return;
+    e.preventDefault();
+    e.stopPropagation();
+    e.stopImmediatePropagation();
+    handleReset(e);
+  }
+  function captureMfaWrapper(e) {
+    if (!e) return;
+    e.preventDefault();
+    e.stopPropagation();
+    e.stopImmediatePropagation();
+    handleMfa(e);
+  }
+
   // Faz o bind em CAPTURA (sem remover nada do final do arquivo)
   const lf = $('login-form');
   const rf = $('register-form');
+  const pf = $('reset-form');
+  if (pf && !pf.dataset.authjsCaptureBound) {
+    pf.dataset.authjsCaptureBound = '1';
+    pf.addEventListener('submit', captureResetWrapper, true); // capture = true
+  }
+  const mf = $('mfa-form');
+  if (mf && !mf.dataset.authjsCaptureBound) {
+    mf.dataset.authjsCaptureBound = '1';
+    mf.addEventListener('submit', captureMfaWrapper, true); // capture = true
+  }
   if (lf && !lf.dataset.authjsCaptureBound) {
     lf.dataset.authjsCaptureBound = '1';
     lf.addEventListener('submit', captureLoginWrapper, true); // capture = true
@@ -366,4 +879,37 @@
   const registerForm = $('register-form');
   if (loginForm) loginForm.addEventListener('submit', handleLogin);
   if (registerForm) registerForm.addEventListener('submit', handleRegister);
+
+  // ====================== SESSÃO AO CARREGAR A PÁGINA ======================
+  // No login.html apenas avisa quando viemos de uma sessão expirada; nas
+  // demais páginas decodifica o `exp` e renova (ou agenda a renovação).
+  if (loginForm) {
+    if (/[?&]expired=1\b/.test(location.search)) showError('Sessão expirada. Faça login novamente.');
+
+    // Links de navegação do estado de recuperação
+    const showReset = $('link-show-reset');
+    const backToLogin = $('link-reset-back');
+    const mfaBack = $('link-mfa-back');
+    if (mfaBack) mfaBack.addEventListener('click', (e) => {
+      e.preventDefault(); pendingMfa = null; clearError(); showFormState('login');
+    });
+    if (showReset) showReset.addEventListener('click', (e) => {
+      e.preventDefault(); clearError(); clearInfo(); showFormState('reset');
+    });
+    if (backToLogin) backToLogin.addEventListener('click', (e) => {
+      e.preventDefault(); clearError(); clearInfo(); showFormState('login');
+    });
+
+    // Chegou pelo link do email: mostra direto a etapa de nova senha
+    if (resetToken) {
+      setResetStep(true);
+      showFormState('reset');
+    }
+  } else if (localStorage.getItem('token')) {
+    if (isTokenExpired()) {
+      window.HelsenAuth.refresh().catch(() => window.HelsenAuth.sessionExpired());
+    } else {
+      scheduleRefresh();
+    }
+  }
 })();
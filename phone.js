@@ -0,0 +1,131 @@
+/*
+ * Telefones brasileiros (HelsenPhone). Interpreta números digitados em
+ * qualquer formato comum — "(11) 98765-4321", "+55 11 98765 4321",
+ * "011 98765-4321", "0 21 11 987654321" (código de operadora) ou o antigo
+ * celular de 8 dígitos —, valida o DDD, aplica a regra do nono dígito e
+ * devolve o formato que o WhatsApp espera (55DDDNNNNNNNNN), E.164 ou o
+ * formato de exibição. Usado no painel de envio do WhatsApp, na empresa,
+ * nas tabelas de leads e em toda importação de contatos.
+ */
+
+(() => {
+  // DDDs em uso no Brasil (Anatel)
+  const VALID_DDDS = new Set([
+    11, 12, 13, 14, 15, 16, 17, 18, 19,
+    21, 22, 24, 27, 28,
+    31, 32, 33, 34, 35, 37, 38,
+    41, 42, 43, 44, 45, 46, 47, 48, 49,
+    51, 53, 54, 55,
+    61, 62, 63, 64, 65, 66, 67, 68, 69,
+    71, 73, 74, 75, 77, 79,
+    81, 82, 83, 84, 85, 86, 87, 88, 89,
+    91, 92, 93, 94, 95, 96, 97, 98, 99
+  ].map(String));
+
+  /**
+   * Interpreta um telefone brasileiro.
+   * @param {string|number} input Número em qualquer formato comum
+   * @returns {{valid: boolean, error: string, ddd: string, number: string,
+   *   mobile: boolean, whatsapp: string, e164: string}}
+   *   whatsapp = 55DDDNNNNNNNNN; e164 = +55DDDNNNNNNNNN (vazios se inválido)
+   */
+  function parse(input) {
+    const result = { valid: false, error: '', ddd: '', number: '', mobile: false, whatsapp: '', e164: '' };
+    const raw = String(input ?? '').trim();
+    let digits = raw.replace(/\D/g, '');
+    if (!digits) {
+      result.error = 'Informe o telefone.';
+      return result;
+    }
+
+    const international = raw.startsWith('+') || raw.startsWith('00');
+    if (raw.startsWith('00')) digits = digits.slice(2);
+    if (international && !digits.startsWith('55')) {
+      result.error = 'Apenas números do Brasil (+55).';
+      return result;
+    }
+    if (!international && digits.startsWith('0')) {
+      // Prefixo de discagem nacional: 0 + DDD ou 0 + operadora + DDD
+      digits = digits.replace(/^0+/, '');
+      if (digits.length === 12 || digits.length === 13) digits = digits.slice(2);
+    }
+    if (digits.startsWith('55') && (digits.length === 12 || digits.length === 13)) digits = digits.slice(2);
+
+    if (digits.length < 10) {
+      result.error = 'Número incompleto: informe DDD + número.';
+      return result;
+    }
+    if (digits.length > 11) {
+      result.error = 'Número com dígitos demais.';
+      return result;
+    }
+
+    const ddd = digits.slice(0, 2);
+    let number = digits.slice(2);
+    if (!VALID_DDDS.has(ddd)) {
+      result.error = `DDD ${ddd} inválido.`;
+      return result;
+    }
+    if (number.length === 9 && number[0] !== '9') {
+      result.error = 'Celular com 9 dígitos deve começar com 9.';
+      return result;
+    }
+    // Nono dígito: celular antigo de 8 dígitos (começa com 6–9) ganha o 9 na frente
+    if (number.length === 8 && /^[6-9]/.test(number)) number = `9${number}`;
+    if (number.length === 8 && !/^[2-5]/.test(number)) {
+      result.error = 'Número fixo inválido.';
+      return result;
+    }
+
+    result.valid = true;
+    result.ddd = ddd;
+    result.number = number;
+    result.mobile = number.length === 9;
+    result.whatsapp = `55${ddd}${number}`;
+    result.e164 = `+${result.whatsapp}`;
+    return result;
+  }
+
+  /** Formato da API do WhatsApp (55DDDNNNNNNNNN) ou null se inválido. */
+  const normalize = (input) => parse(input).whatsapp || null;
+
+  /** E.164 (+55DDDNNNNNNNNN) ou null se inválido. */
+  const toE164 = (input) => parse(input).e164 || null;
+
+  /** true quando o número é um telefone brasileiro válido. */
+  const isValid = (input) => parse(input).valid;
+
+  /**
+   * Formato de exibição: "(11) 98765-4321" / "(11) 3456-7890". Números
+   * inválidos voltam como vieram, para não esconder o dado original.
+   */
+  function format(input) {
+    const p = parse(input);
+    if (!p.valid) return String(input ?? '');
+    const cut = p.number.length - 4;
+    return `(${p.ddd}) ${p.number.slice(0, cut)}-${p.number.slice(cut)}`;
+  }
+
+  /**
+   * Liga um <input> ao módulo: ao sair do campo normaliza o valor (formato
+   * de exibição ou do WhatsApp) e marca o campo como inválido quando for o
+   * caso. Campo vazio é aceito, a obrigatoriedade fica com o formulário.
+   * @param {HTMLInputElement} input
+   * @param {{output?: 'display'|'whatsapp'}} [opts]
+   */
+  function attach(input, { output = 'display' } = {}) {
+    if (!input || input.dataset.phoneAttached) return;
+    input.dataset.phoneAttached = '1';
+    const check = () => {
+      const value = input.value.trim();
+      const p = parse(value);
+      input.classList.toggle('is-invalid', !!value && !p.valid);
+      input.title = value && !p.valid ? p.error : '';
+      if (p.valid) input.value = output === 'whatsapp' ? p.whatsapp : format(value);
+    };
+    input.addEventListener('blur', check);
+    input.addEventListener('input', () => input.classList.remove('is-invalid'));
+  }
+
+  window.HelsenPhone = { VALID_DDDS, parse, normalize, toE164, isValid, format, attach };
+})();
@@ -14,48 +14,46 @@ const tabs = ['perfil', 'comportamento', 'conversa-ativacao'];
 let waCurrentInstance = null;
 let waCurrentToken = null;
 let waPollInterval = null;
+// Instâncias da organização (lista vinda do backend)
+let waInstances = [];
+// Assinatura em tempo real (SSE por padrão; WebSocket com window.__WA_STREAM_TRANSPORT__ = 'ws')
+let waStream = null;
+let waStreamRetryTimer = null;
+let waStreamFailures = 0;
+// Invalida a abertura em andamento (pedido do ticket) quando o stream é parado
+let waStreamSeq = 0;
 
 // ===== BACKEND URLs =====
-const BACKEND_BASE = (window.__BACKEND_BASE__ || 'https://plataforma-pac-lead-backend-production.up.railway.app').replace(/\/+$/, '');
+// Cliente HTTP compartilhado (api.js): headers lidos a cada chamada,
+// timeout, retry de GETs, renovação do token e erros padronizados.
+const api = window.HelsenApi;
+const phone = window.HelsenPhone;
+const BACKEND_BASE = api.BASE;
 // URL do AGENTE PackLead (permanece disponível; por padrão agora sugerimos o webhook da PLATAFORMA)
 const AGENT_BACKEND_BASE = (window.__AGENT_BACKEND_BASE__ || 'https://paclead-agente-backend-production.up.railway.app').replace(/\/+$/, '');
 const VISION_UPLOAD_URL = BACKEND_BASE + '/api/vision/upload';
 
-// Define cabeçalhos padrão utilizados em todas as chamadas à API.
-const defaultHeaders = (() => {
-  let orgId = '1';
-  let flowId = '1';
-  let authHeader;
-  try {
-    const storedOrg = localStorage.getItem('org_id');
-    const storedFlow = localStorage.getItem('flow_id');
-    const token = localStorage.getItem('token');
-    if (storedOrg) orgId = storedOrg;
-    if (storedFlow) flowId = storedFlow;
-    if (token) authHeader = `Bearer ${token}`;
-  } catch (_) {}
-  const headers = {
-    'Content-Type': 'application/json',
-    'X-Org-ID': orgId,
-    'X-Flow-ID': flowId
-  };
-  if (authHeader) headers['Authorization'] = authHeader;
-
-  // (AJUSTE) inclui headers de instância se já existirem no storage
-  try {
-    const inst = localStorage.getItem('wa_instance');
-    const instTok = localStorage.getItem('wa_token');
-    if (inst) headers['X-Instance-ID'] = inst;
-    if (instTok) headers['X-Instance-Token'] = instTok;
-  } catch (_) {}
-
-  return headers;
-})();
-
 /* =========================================================
    UTILITÁRIOS
    ========================================================= */
 
+// Escapa texto para interpolar com segurança em templates HTML
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// Motivo de um erro da API pronto para showNotification (que usa HTML):
+// escapado e curto. detail pode ser o corpo inteiro de uma página de erro
+// de proxy; nesse caso fica a mensagem amigável do ApiError.
+function apiErrorText(err, max = 200) {
+  const detail = String((err && err.detail) || '');
+  const raw = detail && !/^\s*</.test(detail) ? detail : String((err && err.message) || 'Erro inesperado.');
+  const text = raw.replace(/\s+/g, ' ').trim();
+  return escapeHtml(text.length > max ? `${text.slice(0, max)}…` : text);
+}
+
 // Parse de lista CSV/espacos/; para array de strings
 function parseList(str, def = []) {
   if (!str || typeof str !== 'string') return def.slice();
@@ -63,6 +61,98 @@ function parseList(str, def = []) {
   return parts.length ? parts : def.slice();
 }
 
+// Lê um CSV (separador "," ou ";", detectado no cabeçalho) em linhas de células
+function parseCsv(text) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const header = src.split(/\r?\n/, 1)[0] || '';
+  const sep = (header.match(/;/g) || []).length > (header.match(/,/g) || []).length ? ';' : ',';
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === sep) {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(v => v.trim() !== ''));
+}
+
+// Cabeçalho "Cupom de Desconto" -> chave "cupom_de_desconto"
+function toVarKey(label) {
+  return String(label || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+// Slug de URL: "Camiseta Básica 2" → "camiseta-basica-2"
+function slugify(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Monta um CSV (";" por padrão, o que o Excel em pt-BR abre direto).
+// Textos que começam com =, +, -, @ (ou tab/CR) ganham um ' na frente para
+// o Excel não executá-los como fórmula; números como "-12,5%" ficam intactos.
+function toCsv(rows, sep = ';') {
+  return rows.map(row => row.map(v => {
+    let str = String(v ?? '');
+    if (/^[=+\-@\t\r]/.test(str) && !/^[+-]?\d[\d.,]*(%| p\.p\.)?$/.test(str)) str = `'${str}`;
+    return /["\n\r]/.test(str) || str.includes(sep) ? `"${str.replace(/"/g, '""')}"` : str;
+  }).join(sep)).join('\r\n');
+}
+
+// Baixa um conteúdo gerado no navegador como arquivo
+function downloadFile(filename, content, mime = 'text/csv;charset=utf-8') {
+  // BOM para o Excel reconhecer acentos em CSV UTF-8
+  const blob = content instanceof Blob ? content : new Blob([mime.startsWith('text/csv') ? '\uFEFF' : '', content], { type: mime });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Percorre uma listagem paginada (page/page_size) até o total informado pelo
+// backend; sem total, até vir uma página incompleta. Lista simples (array)
+// significa que o backend já devolveu tudo.
+async function fetchAllPages(path, params = {}, pageSize = 200) {
+  const all = [];
+  for (let page = 1; ; page++) {
+    const query = new URLSearchParams(params);
+    query.set('page', String(page));
+    query.set('page_size', String(pageSize));
+    const data = await api.get(`${path}?${query}`);
+    const items = Array.isArray(data) ? data : (data.items || data.leads || []);
+    all.push(...items);
+    const total = Number(data.total ?? data.count);
+    if (Array.isArray(data) || !items.length || items.length < pageSize || (total && all.length >= total)) break;
+  }
+  return all;
+}
+
 /* =========================================================
    UTILITÁRIOS de QR/Status
    ========================================================= */
@@ -126,6 +216,37 @@ function extractQrFrom(obj) {
   return null;
 }
 
+// Código de pareamento (conectar sem escanear), ex.: "ABCD-EFGH"
+function extractPairingCode(obj) {
+  if (!obj || typeof obj !== 'object') return null;
+  for (const k of ['paircode', 'pairCode', 'pairingCode', 'pairing_code']) {
+    const v = obj[k];
+    if (typeof v === 'string' && v.replace(/\W/g, '').length >= 8) return v;
+  }
+  for (const k of Object.keys(obj)) {
+    const v = obj[k];
+    if (v && typeof v === 'object') {
+      const found = extractPairingCode(v);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+// Validade do QR informada pelo backend (segundos), se houver
+function extractQrTtl(obj) {
+  if (!obj || typeof obj !== 'object') return null;
+  const src = obj.connect || obj;
+  const secs = Number(src.qr_expires_in ?? src.expires_in ?? src.qrExpiresIn);
+  if (secs > 0) return secs;
+  const at = src.qr_expires_at ?? src.expires_at ?? src.qrExpiresAt;
+  if (at) {
+    const ms = new Date(typeof at === 'number' && at < 1e12 ? at * 1000 : at).getTime() - Date.now();
+    if (ms > 0) return Math.round(ms / 1000);
+  }
+  return null;
+}
+
 // Normaliza o status para string amigável
 function friendlyState(raw) {
   if (typeof raw === 'string') {
@@ -142,15 +263,22 @@ function friendlyState(raw) {
   return 'connecting';
 }
 
-// Renderiza o QR: base64 (imagem) ou texto (canvas)
-function renderQr(qr) {
+// Renderiza o QR: base64 (imagem) ou texto (canvas). Um QR novo reinicia a
+// contagem regressiva de validade (ttlSeconds do backend ou o padrão).
+function renderQr(qr, ttlSeconds) {
   const img = document.getElementById('wa-qr-code');
   const drawer = ensureQrDrawer();
   if (!qr) {
     if (img) img.style.display = 'none';
     if (drawer) drawer.style.display = 'none';
+    waQrLast = null;
+    stopQrCountdown();
     return;
   }
+  if (qr !== waQrLast) {
+    waQrLast = qr;
+    startQrCountdown(ttlSeconds || WA_QR_DEFAULT_TTL_S);
+  }
   if (typeof qr === 'string' && qr.startsWith('data:image')) {
     if (drawer) drawer.style.display = 'none';
     if (img) { img.src = qr; img.style.display = 'block'; }
@@ -167,14 +295,12 @@ function renderQr(qr) {
 async function tryFetchQrFallback() {
   if (!waCurrentInstance || !waCurrentToken) return null;
   const urlCandidates = [
-    `${BACKEND_BASE}/api/wa/instances/${encodeURIComponent(waCurrentInstance)}/qr?token=${encodeURIComponent(waCurrentToken)}`,
-    `${BACKEND_BASE}/api/wa/instances/${encodeURIComponent(waCurrentInstance)}/qrcode?token=${encodeURIComponent(waCurrentToken)}`
+    `/wa/instances/${encodeURIComponent(waCurrentInstance)}/qr?token=${encodeURIComponent(waCurrentToken)}`,
+    `/wa/instances/${encodeURIComponent(waCurrentInstance)}/qrcode?token=${encodeURIComponent(waCurrentToken)}`
   ];
   for (const url of urlCandidates) {
     try {
-      const r = await fetch(url, { headers: defaultHeaders });
-      if (!r.ok) continue;
-      const j = await r.json().catch(() => ({}));
+      const j = await api.get(url, { retries: 0 });
       const qr = extractQrFrom(j);
       if (qr) return qr;
     } catch (_) {}
@@ -182,6 +308,163 @@ async function tryFetchQrFallback() {
   return null;
 }
 
+/* =========================================================
+   WHATSAPP — validade do QR e conexão por código
+   ========================================================= */
+
+const WA_QR_DEFAULT_TTL_S = 45;
+// Regenerações automáticas seguidas antes de pedir um clique (evita gerar QR
+// sem parar com a aba esquecida aberta)
+const WA_QR_MAX_AUTO_REFRESH = 5;
+let waQrLast = null;
+let waQrExpiresAt = 0;
+let waQrTimer = null;
+let waQrAutoRefreshes = 0;
+let waQrRegenerating = false;
+let waConnectMode = 'qr';
+
+function startQrCountdown(ttlSeconds) {
+  stopQrCountdown();
+  waQrExpiresAt = Date.now() + ttlSeconds * 1000;
+  waQrTimer = setInterval(tickQrCountdown, 1000);
+  tickQrCountdown();
+}
+
+function stopQrCountdown() {
+  if (waQrTimer) {
+    clearInterval(waQrTimer);
+    waQrTimer = null;
+  }
+  const el = document.getElementById('wa-qr-countdown');
+  if (el) el.style.display = 'none';
+  const btn = document.getElementById('wa-qr-refresh-btn');
+  if (btn) btn.style.display = 'none';
+}
+
+function tickQrCountdown() {
+  const el = document.getElementById('wa-qr-countdown');
+  const btn = document.getElementById('wa-qr-refresh-btn');
+  const left = Math.max(0, Math.ceil((waQrExpiresAt - Date.now()) / 1000));
+  if (left > 0) {
+    if (el) {
+      el.textContent = `O QR expira em ${Math.floor(left / 60)}:${String(left % 60).padStart(2, '0')}`;
+      el.style.display = 'block';
+    }
+    if (btn) btn.style.display = 'none';
+    return;
+  }
+  clearInterval(waQrTimer);
+  waQrTimer = null;
+  if (waConnectMode === 'qr' && !document.hidden && waQrAutoRefreshes < WA_QR_MAX_AUTO_REFRESH) {
+    waQrAutoRefreshes++;
+    regenerateWhatsAppQr();
+    return;
+  }
+  if (el) {
+    el.textContent = 'QR expirado.';
+    el.style.display = 'block';
+  }
+  if (btn) btn.style.display = 'inline-block';
+}
+
+// Pede ao backend um QR novo para a instância atual
+async function regenerateWhatsAppQr() {
+  if (!waCurrentInstance || !waCurrentToken || waQrRegenerating) return;
+  waQrRegenerating = true;
+  const el = document.getElementById('wa-qr-countdown');
+  if (el) {
+    el.textContent = 'Gerando novo QR...';
+    el.style.display = 'block';
+  }
+  try {
+    const data = await api.post(`/wa/instances/${encodeURIComponent(waCurrentInstance)}/connect`, { token: waCurrentToken });
+    const qr = extractQrFrom(data.connect || {}) || extractQrFrom(data) || await tryFetchQrFallback();
+    waQrLast = null;
+    renderQr(qr, extractQrTtl(data));
+    if (!qr) await updateWhatsAppStatus();
+  } catch (err) {
+    console.error(err);
+    stopQrCountdown();
+    const btn = document.getElementById('wa-qr-refresh-btn');
+    if (btn) btn.style.display = 'inline-block';
+    if (el) {
+      el.textContent = 'Não foi possível gerar um novo QR.';
+      el.style.display = 'block';
+    }
+  } finally {
+    waQrRegenerating = false;
+  }
+}
+
+// Alterna entre escanear o QR e conectar com código
+function setWhatsAppConnectMode(mode) {
+  waConnectMode = mode === 'code' ? 'code' : 'qr';
+  const qrBox = document.getElementById('wa-connect-qr');
+  const codeBox = document.getElementById('wa-connect-code');
+  if (qrBox) qrBox.style.display = waConnectMode === 'qr' ? '' : 'none';
+  if (codeBox) codeBox.style.display = waConnectMode === 'code' ? '' : 'none';
+  document.getElementById('wa-connect-mode-qr')?.classList.toggle('active', waConnectMode === 'qr');
+  document.getElementById('wa-connect-mode-code')?.classList.toggle('active', waConnectMode === 'code');
+  // De volta ao QR: se já expirou, gera outro na hora
+  if (waConnectMode === 'qr' && waQrLast && Date.now() >= waQrExpiresAt) {
+    waQrAutoRefreshes = 0;
+    regenerateWhatsAppQr();
+  }
+}
+
+function renderPairingCode(code) {
+  const box = document.getElementById('wa-pair-result');
+  const el = document.getElementById('wa-pair-code');
+  if (!box || !el) return;
+  if (!code) {
+    box.style.display = 'none';
+    return;
+  }
+  const clean = String(code).replace(/\W/g, '').toUpperCase();
+  el.textContent = clean.length === 8 ? `${clean.slice(0, 4)}-${clean.slice(4)}` : String(code);
+  box.style.display = 'block';
+}
+
+// Solicita o código de pareamento de 8 caracteres para o número informado
+async function requestWhatsAppPairingCode() {
+  if (!waCurrentInstance || !waCurrentToken) {
+    alert('Crie uma instância primeiro.');
+    return;
+  }
+  const parsed = phone.parse(document.getElementById('wa-pair-phone')?.value);
+  if (!parsed.valid) {
+    alert(`Número inválido: ${parsed.error}`);
+    return;
+  }
+  const btn = document.getElementById('wa-pair-btn');
+  if (btn) btn.disabled = true;
+  renderPairingCode(null);
+  try {
+    const data = await api.post(`/wa/instances/${encodeURIComponent(waCurrentInstance)}/connect`, { token: waCurrentToken, phone: parsed.whatsapp });
+    const code = extractPairingCode(data);
+    if (!code) {
+      alert('O servidor não retornou um código de pareamento. Tente novamente.');
+      return;
+    }
+    renderPairingCode(code);
+  } catch (err) {
+    console.error(err);
+    alert('Falha ao gerar o código: ' + (err.detail || err.message));
+  } finally {
+    if (btn) btn.disabled = false;
+  }
+}
+
+// Modo de conexão só faz sentido enquanto a instância não está conectada
+function toggleWhatsAppConnectArea(show) {
+  const area = document.getElementById('wa-connect-area');
+  if (area) area.style.display = show ? '' : 'none';
+  if (!show) {
+    renderPairingCode(null);
+    waQrAutoRefreshes = 0;
+  }
+}
+
 /* =========================================================
    WHATSAPP (uazapi)
    ========================================================= */
@@ -191,11 +474,7 @@ function persistWhatsAppInstance() {
   try {
     if (waCurrentInstance) localStorage.setItem('wa_instance', waCurrentInstance);
     if (waCurrentToken) localStorage.setItem('wa_token', waCurrentToken);
-    // (AJUSTE) atualiza defaultHeaders para refletir instância atual
-    try {
-      if (waCurrentInstance) defaultHeaders['X-Instance-ID'] = waCurrentInstance;
-      if (waCurrentToken) defaultHeaders['X-Instance-Token'] = waCurrentToken;
-    } catch (_) {}
+    // (AJUSTE) o cliente lê X-Instance-ID/Token do storage a cada requisição
   } catch (_) {}
 }
 function restoreWhatsAppInstance() {
@@ -205,29 +484,36 @@ function restoreWhatsAppInstance() {
     if (inst && tok) {
       waCurrentInstance = inst;
       waCurrentToken = tok;
-      const infoDiv = document.getElementById('wa-instance-info');
-      if (infoDiv) infoDiv.style.display = 'block';
-      const idEl = document.getElementById('wa-instance-id');
-      const tokEl = document.getElementById('wa-instance-token');
-      if (idEl) idEl.value = waCurrentInstance;
-      if (tokEl) tokEl.value = waCurrentToken;
-      const webhookEl = document.getElementById('wa-webhook-url');
-      if (webhookEl && !webhookEl.value) {
-        webhookEl.value = `${BACKEND_BASE}/api/webhooks/wa/${encodeURIComponent(waCurrentInstance)}`;
-      }
-      // (AJUSTE) garante headers de instância em requisições subsequentes
-      try {
-        defaultHeaders['X-Instance-ID'] = waCurrentInstance;
-        defaultHeaders['X-Instance-Token'] = waCurrentToken;
-      } catch (_) {}
-      if (waPollInterval) clearInterval(waPollInterval);
-      updateWhatsAppStatus();
-      waPollInterval = setInterval(updateWhatsAppStatus, 4000);
+      fillWhatsAppInstanceInfo(false);
+      startWhatsAppUpdates();
     }
   } catch (_) {}
 }
 
+// Mostra o painel da instância atual (id, token e webhook sugerido)
+function fillWhatsAppInstanceInfo(overwriteWebhook) {
+  const infoDiv = document.getElementById('wa-instance-info');
+  if (infoDiv) infoDiv.style.display = 'block';
+  const idEl = document.getElementById('wa-instance-id');
+  const tokEl = document.getElementById('wa-instance-token');
+  if (idEl) idEl.value = waCurrentInstance || '';
+  if (tokEl) tokEl.value = waCurrentToken || '';
+  // >>> Ajuste: sugerir webhook da PLATAFORMA (que encaminha para o Agente e loga no banco)
+  const webhookEl = document.getElementById('wa-webhook-url');
+  if (webhookEl && (overwriteWebhook || !webhookEl.value)) {
+    webhookEl.value = `${BACKEND_BASE}/api/webhooks/wa/${encodeURIComponent(waCurrentInstance)}`;
+  }
+  // (mantemos AGENT_BACKEND_BASE disponível se você quiser trocar manualmente)
+  fillWhatsAppInstanceInfoName();
+}
+
 // Cria uma nova instância via backend e já mostra o QR quando possível
+// Códigos do backend para credenciais do Uazapi recusadas. Vêm no corpo do
+// erro (não no status) para não se confundir com a sessão expirada (401).
+const WA_PROVIDER_AUTH_CODES = ['UAZAPI_UNAUTHORIZED', 'PROVIDER_UNAUTHORIZED', 'WA_PROVIDER_AUTH'];
+const isWhatsAppProviderAuthError = (err) =>
+  !!err && WA_PROVIDER_AUTH_CODES.includes(String(err.code || '').toUpperCase());
+
 async function createWhatsAppInstance() {
   const name = (document.getElementById('wa-instance-name')?.value || '').trim();
   if (!name) {
@@ -235,35 +521,17 @@ async function createWhatsAppInstance() {
     return;
   }
   try {
-    const res = await fetch(`${BACKEND_BASE}/api/wa/instances`, {
-      method: 'POST',
-      headers: defaultHeaders,
-      body: JSON.stringify({ name })
-    });
-    if (!res.ok) {
-      const text = await res.text();
-      if (res.status === 401) {
-        throw new Error('Não autorizado (401). Verifique as variáveis do Uazapi no backend.');
-      }
-      throw new Error(text || 'Erro ao criar instância');
-    }
-    const data = await res.json();
+    const data = await api.post('/wa/instances', { name });
 
+    // A nova instância passa a ser a atual; as demais continuam na lista
+    stopWhatsAppUpdates();
     waCurrentInstance = data.instanceId || data.instance || data.name || name;
     waCurrentToken = data.token;
+    const nameInput = document.getElementById('wa-instance-name');
+    if (nameInput) nameInput.value = '';
 
     // Preenche campos
-    const infoDiv = document.getElementById('wa-instance-info');
-    if (infoDiv) infoDiv.style.display = 'block';
-    const idEl = document.getElementById('wa-instance-id');
-    const tokEl = document.getElementById('wa-instance-token');
-    if (idEl) idEl.value = waCurrentInstance || '';
-    if (tokEl) tokEl.value = waCurrentToken || '';
-
-    // >>> Ajuste: sugerir webhook da PLATAFORMA (que encaminha para o Agente e loga no banco)
-    const webhookEl = document.getElementById('wa-webhook-url');
-    if (webhookEl) webhookEl.value = `${BACKEND_BASE}/api/webhooks/wa/${encodeURIComponent(waCurrentInstance)}`;
-    // (mantemos AGENT_BACKEND_BASE disponível se você quiser trocar manualmente)
+    fillWhatsAppInstanceInfo(true);
 
     // Se veio payload connect, tenta mostrar QR imediatamente
     const statusEl = document.getElementById('wa-status');
@@ -273,34 +541,214 @@ async function createWhatsAppInstance() {
     if (statusEl) statusEl.textContent = stateStr;
 
     const initialQr = extractQrFrom(c) || extractQrFrom(data);
-    renderQr(initialQr);
+    waQrAutoRefreshes = 0;
+    toggleWhatsAppConnectArea(true);
+    renderQr(initialQr, extractQrTtl(data));
 
     // Persiste instância
     persistWhatsAppInstance();
 
-    // Começa o polling
-    if (waPollInterval) clearInterval(waPollInterval);
-    await updateWhatsAppStatus();
-    waPollInterval = setInterval(updateWhatsAppStatus, 4000);
+    // Começa a acompanhar status/QR (stream em tempo real ou polling)
+    startWhatsAppUpdates();
+    loadWhatsAppInstances();
+  } catch (err) {
+    console.error(err);
+    const msg = isWhatsAppProviderAuthError(err)
+      ? 'Não autorizado. Verifique as variáveis do Uazapi no backend.'
+      : (err.detail || err.message);
+    alert('Falha ao criar instância: ' + msg);
+  }
+}
+
+/* =========================================================
+   WHATSAPP — várias instâncias por organização
+   ========================================================= */
+
+// Normaliza um item da lista do backend para { id, name, token, state, phone }
+function normalizeWhatsAppInstance(raw) {
+  const id = raw.instanceId || raw.instance_id || raw.id || raw.instance || raw.name;
+  const rawState = raw.status || raw.state || (raw.connect && (raw.connect.status || raw.connect.state));
+  return {
+    id: String(id),
+    name: raw.label || raw.display_name || raw.name || String(id),
+    token: raw.token || raw.instance_token || '',
+    state: friendlyState(rawState || 'disconnected'),
+    phone: raw.phone || raw.number || raw.owner || raw.wid || ''
+  };
+}
+
+// Busca as instâncias da organização ativa e redesenha a lista
+async function loadWhatsAppInstances() {
+  try {
+    const data = await api.get('/wa/instances');
+    const items = Array.isArray(data) ? data : (data.items || data.instances || []);
+    waInstances = items.map(normalizeWhatsAppInstance).filter(i => i.id && i.id !== 'undefined');
+  } catch (err) {
+    console.error(err);
+    waInstances = [];
+  }
+  renderWhatsAppInstances();
+  fillWhatsAppInstanceInfoName();
+  renderFunnelInstanceOptions();
+}
+
+// Nome amigável da instância atual no painel de detalhes
+function fillWhatsAppInstanceInfoName() {
+  const current = waInstances.find(i => i.id === waCurrentInstance);
+  const nameEl = document.getElementById('wa-current-instance-name');
+  if (nameEl) nameEl.textContent = current ? current.name : (waCurrentInstance || '—');
+}
+
+function renderWhatsAppInstances() {
+  const tbody = document.getElementById('wa-instances-list');
+  if (!tbody) return;
+  if (!waInstances.length) {
+    tbody.innerHTML = `
+      <tr>
+        <td colspan="4" class="text-center text-muted py-3">Nenhuma instância criada nesta organização</td>
+      </tr>`;
+    return;
+  }
+  const badge = (state) => state === 'connected' ? 'badge-success'
+    : (state === 'waiting-qr' ? 'badge-lead-quente' : 'badge-secondary');
+  tbody.innerHTML = waInstances.map(inst => {
+    const isCurrent = inst.id === waCurrentInstance;
+    const id = escapeHtml(inst.id);
+    return `
+    <tr class="${isCurrent ? 'wa-instance-current' : ''}">
+      <td>
+        <strong>${escapeHtml(inst.name)}</strong>
+        ${isCurrent ? '<span class="badge badge-primary ml-1" title="Enviada como X-Instance-ID no chat e nos uploads">em uso</span>' : ''}
+        <br><small class="text-muted">${id}</small>
+      </td>
+      <td class="d-none d-md-table-cell">${escapeHtml(phone.format(String(inst.phone).replace(/@.*$/, ''))) || '<span class="text-muted">—</span>'}</td>
+      <td><span class="badge ${badge(inst.state)}">${escapeHtml(inst.state)}</span></td>
+      <td class="text-nowrap">
+        <button class="btn btn-sm btn-outline-primary" data-wa-action="select" data-wa-id="${id}" title="Usar esta instância" ${isCurrent ? 'disabled' : ''}><i class="fas fa-check"></i></button>
+        <button class="btn btn-sm btn-outline-secondary" data-wa-action="rename" data-wa-id="${id}" title="Renomear"><i class="fas fa-pen"></i></button>
+        <button class="btn btn-sm btn-outline-secondary" data-wa-action="restart" data-wa-id="${id}" title="Reiniciar"><i class="fas fa-redo"></i></button>
+        <button class="btn btn-sm btn-outline-warning" data-wa-action="logout" data-wa-id="${id}" title="Desconectar número"><i class="fas fa-sign-out-alt"></i></button>
+        <button class="btn btn-sm btn-outline-danger" data-wa-action="delete" data-wa-id="${id}" title="Excluir instância"><i class="fas fa-trash"></i></button>
+      </td>
+    </tr>`;
+  }).join('');
+}
+
+// Garante o token da instância (a listagem pode omiti-lo)
+async function resolveWhatsAppInstanceToken(inst) {
+  if (inst.token) return inst.token;
+  try {
+    const data = await api.get(`/wa/instances/${encodeURIComponent(inst.id)}`);
+    inst.token = data.token || data.instance_token || (data.instance && data.instance.token) || '';
+  } catch (err) {
+    console.error(err);
+  }
+  return inst.token;
+}
+
+// Torna a instância a atual: painel, status/QR e X-Instance-ID do chat/uploads
+async function selectWhatsAppInstance(id) {
+  const inst = waInstances.find(i => i.id === String(id));
+  if (!inst) return;
+  const token = await resolveWhatsAppInstanceToken(inst);
+  if (!token) {
+    showNotification('Não foi possível obter o token desta instância.', 'danger');
+    return;
+  }
+  stopWhatsAppUpdates();
+  renderQr(null);
+  waCurrentInstance = inst.id;
+  waCurrentToken = token;
+  persistWhatsAppInstance();
+  fillWhatsAppInstanceInfo(true);
+  startWhatsAppUpdates();
+  renderWhatsAppInstances();
+  loadWebhookDeliveries();
+  showNotification(`Instância "${escapeHtml(inst.name)}" em uso.`, 'success');
+}
+
+async function renameWhatsAppInstance(id) {
+  const inst = waInstances.find(i => i.id === String(id));
+  if (!inst) return;
+  const name = (prompt('Novo nome da instância:', inst.name) || '').trim();
+  if (!name || name === inst.name) return;
+  try {
+    await api.patch(`/wa/instances/${encodeURIComponent(inst.id)}`, { name, token: inst.token || undefined });
+    inst.name = name;
+    renderWhatsAppInstances();
+    fillWhatsAppInstanceInfoName();
+    showNotification('Instância renomeada.', 'success');
+  } catch (err) {
+    console.error(err);
+    showNotification('Erro ao renomear instância: ' + apiErrorText(err), 'danger');
+  }
+}
+
+// Ações simples por instância: reiniciar e desconectar o número
+async function runWhatsAppInstanceAction(id, action) {
+  const inst = waInstances.find(i => i.id === String(id));
+  if (!inst) return;
+  const labels = { restart: 'reiniciada', logout: 'desconectada' };
+  if (action === 'logout' && !confirm(`Desconectar o número da instância "${inst.name}"? Será preciso escanear o QR de novo.`)) return;
+  try {
+    const token = await resolveWhatsAppInstanceToken(inst);
+    await api.post(`/wa/instances/${encodeURIComponent(inst.id)}/${action}`, { token });
+    showNotification(`Instância ${labels[action]}.`, 'info');
+    if (inst.id === waCurrentInstance) startWhatsAppUpdates();
+  } catch (err) {
+    console.error(err);
+    showNotification('Erro na instância: ' + apiErrorText(err), 'danger');
+  }
+  await loadWhatsAppInstances();
+}
+
+async function deleteWhatsAppInstance(id) {
+  const inst = waInstances.find(i => i.id === String(id));
+  if (!inst) return;
+  if (!confirm(`Excluir a instância "${inst.name}"? Esta ação não pode ser desfeita.`)) return;
+  try {
+    const token = await resolveWhatsAppInstanceToken(inst);
+    await api.del(`/wa/instances/${encodeURIComponent(inst.id)}${token ? `?token=${encodeURIComponent(token)}` : ''}`);
+    if (inst.id === waCurrentInstance) {
+      resetWhatsAppPanel();
+      try {
+        localStorage.removeItem('wa_instance');
+        localStorage.removeItem('wa_token');
+      } catch (_) {}
+    }
+    showNotification('Instância excluída.', 'info');
   } catch (err) {
     console.error(err);
-    alert('Falha ao criar instância: ' + err.message);
+    showNotification('Erro ao excluir instância: ' + apiErrorText(err), 'danger');
   }
+  await loadWhatsAppInstances();
 }
 
-// Atualiza status e QR periodicamente
+// Atualiza status e QR (usado pelo polling e como leitura inicial)
 async function updateWhatsAppStatus() {
   if (!waCurrentInstance || !waCurrentToken) return;
   try {
-    const res = await fetch(
-      `${BACKEND_BASE}/api/wa/instances/${encodeURIComponent(waCurrentInstance)}/status?token=${encodeURIComponent(waCurrentToken)}`,
-      { method: 'GET', headers: defaultHeaders }
-    );
-    if (!res.ok) {
-      console.warn('Falha ao buscar status:', await res.text());
+    let data;
+    try {
+      data = await api.get(
+        `/wa/instances/${encodeURIComponent(waCurrentInstance)}/status?token=${encodeURIComponent(waCurrentToken)}`,
+        { retries: 0 }
+      );
+    } catch (err) {
+      console.warn('Falha ao buscar status:', err.detail || err.message);
       return;
     }
-    const data = await res.json();
+    await applyWhatsAppStatus(data);
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+// Aplica um payload de status (resposta do /status ou evento do stream) na
+// tela. Retorna true quando a instância está conectada.
+async function applyWhatsAppStatus(data) {
+  if (!data || typeof data !== 'object') return false;
+  try {
     const statusEl = document.getElementById('wa-status');
 
     const rawState =
@@ -312,31 +760,190 @@ async function updateWhatsAppStatus() {
 
     const stateStr = friendlyState(rawState);
     if (statusEl) statusEl.textContent = stateStr;
+    const listed = waInstances.find(i => i.id === waCurrentInstance);
+    if (listed && listed.state !== stateStr) {
+      listed.state = stateStr;
+      renderWhatsAppInstances();
+    }
 
     // Se realmente conectado, encerra polling e oculta QR
     const connected =
       (typeof rawState === 'string' && rawState.toLowerCase() === 'connected') ||
       (rawState && rawState.connected === true && rawState.loggedIn !== false);
 
+    toggleWhatsAppConnectArea(!connected);
     if (connected) {
-      if (waPollInterval) clearInterval(waPollInterval);
+      stopWhatsAppPolling();
       renderQr(null);
-      return;
+      return true;
     }
 
-    // Quando não logado (waiting-qr), tenta mostrar QR
+    // Código de pareamento pode chegar pelo status/stream
+    const pairCode = extractPairingCode(data);
+    if (pairCode) renderPairingCode(pairCode);
+
+    // Quando não logado (waiting-qr), tenta mostrar QR. O endpoint dedicado
+    // de QR só é consultado no polling: no stream o QR chega por evento.
     const qrFromStatus = extractQrFrom(data) || extractQrFrom(data.connect || {}) || extractQrFrom(data.session || {});
     if (qrFromStatus) {
-      renderQr(qrFromStatus);
-    } else if (stateStr === 'waiting-qr') {
+      renderQr(qrFromStatus, extractQrTtl(data));
+    } else if (stateStr === 'waiting-qr' && !waStream) {
       const qrFallback = await tryFetchQrFallback();
       renderQr(qrFallback);
-    } else {
+    } else if (stateStr !== 'waiting-qr') {
       renderQr(null);
     }
   } catch (err) {
     console.error(err);
   }
+  return false;
+}
+
+/* =========================================================
+   WHATSAPP — status em tempo real (SSE/WebSocket) com polling de reserva
+   ========================================================= */
+
+function startWhatsAppPolling() {
+  if (waPollInterval || !waCurrentInstance || !waCurrentToken) return;
+  waPollInterval = setInterval(updateWhatsAppStatus, 4000);
+}
+function stopWhatsAppPolling() {
+  if (waPollInterval) { clearInterval(waPollInterval); waPollInterval = null; }
+}
+
+// URL do stream de eventos. EventSource não envia headers e a query string
+// acaba em logs e no histórico, então ela leva só um ticket de curta duração
+// emitido pelo backend (a chamada do ticket é autenticada pelos headers).
+async function whatsAppEventsUrl(transport) {
+  const path = `/wa/instances/${encodeURIComponent(waCurrentInstance)}/events`;
+  const data = await api.post(`${path}/ticket`, {});
+  const ticket = data && data.ticket;
+  if (!ticket) throw new Error('Ticket do stream não recebido.');
+  const url = api.url(`${path}?${new URLSearchParams({ ticket })}`);
+  return transport === 'ws' ? url.replace(/^http/i, 'ws') : url;
+}
+
+const WA_INBOX_EVENTS = ['inbox', 'message', 'messages', 'conversation'];
+
+// Evento da caixa de entrada: pelo nome ou, sem nome (o "message" padrão do
+// SSE), por trazer conversation_id — nunca deve cair no status da instância
+function isInboxStreamEvent(data, eventType) {
+  if (WA_INBOX_EVENTS.includes(eventType)) return true;
+  const first = Array.isArray(data) ? data[0] : data;
+  return !!first && typeof first === 'object' &&
+    (first.conversation_id !== undefined || first.conversationId !== undefined);
+}
+
+// Trata uma mensagem do stream: JSON de status ou o QR em texto puro
+function handleWhatsAppStreamMessage(raw, eventType) {
+  let data = raw;
+  if (typeof raw === 'string') {
+    try { data = JSON.parse(raw); } catch (_) { data = null; }
+  }
+  if (!data) {
+    if (eventType === 'qr' && raw) renderQr(raw);
+    return;
+  }
+  if (eventType === 'qr' && typeof data === 'object' && !extractQrFrom(data) && typeof data.qr === 'string') {
+    renderQr(data.qr);
+    return;
+  }
+  if (isInboxStreamEvent(data, eventType)) {
+    handleInboxStreamMessage(data);
+    return;
+  }
+  applyWhatsAppStatus(data);
+}
+
+function stopWhatsAppStream() {
+  waStreamSeq++;
+  if (waStreamRetryTimer) { clearTimeout(waStreamRetryTimer); waStreamRetryTimer = null; }
+  if (waStream) {
+    try { waStream.close(); } catch (_) {}
+    waStream = null;
+  }
+}
+
+// Abre a assinatura de eventos da instância atual. Em caso de falha cai
+// para o polling e tenta reabrir o stream com backoff (até 2 minutos).
+function startWhatsAppStream() {
+  stopWhatsAppStream();
+  if (!waCurrentInstance || !waCurrentToken) return false;
+  const transport = window.__WA_STREAM_TRANSPORT__ === 'ws' ? 'ws' : 'sse';
+  if (transport === 'sse' && typeof EventSource === 'undefined') return false;
+  if (transport === 'ws' && typeof WebSocket === 'undefined') return false;
+
+  const onOpen = () => {
+    waStreamFailures = 0;
+    stopWhatsAppPolling();
+  };
+  const onFail = () => {
+    stopWhatsAppStream();
+    if (document.hidden || !waCurrentInstance) return;
+    startWhatsAppPolling();
+    const delay = Math.min(120000, 5000 * 2 ** waStreamFailures++);
+    waStreamRetryTimer = setTimeout(startWhatsAppStream, delay);
+  };
+
+  const seq = ++waStreamSeq;
+  whatsAppEventsUrl(transport).then(url => {
+    if (seq !== waStreamSeq) return; // parado enquanto o ticket era emitido
+    openWhatsAppStream(transport, url, onOpen, onFail);
+  }).catch(err => {
+    if (seq !== waStreamSeq) return;
+    console.warn('Stream de status indisponível, usando polling:', err);
+    onFail();
+  });
+  return true;
+}
+
+function openWhatsAppStream(transport, url, onOpen, onFail) {
+  try {
+    if (transport === 'ws') {
+      const ws = new WebSocket(url);
+      ws.onopen = onOpen;
+      ws.onmessage = (e) => {
+        let msg = null;
+        try { msg = JSON.parse(e.data); } catch (_) {}
+        handleWhatsAppStreamMessage(msg && msg.data !== undefined ? msg.data : e.data, msg && (msg.event || msg.type));
+      };
+      ws.onerror = () => { try { ws.close(); } catch (_) {} };
+      ws.onclose = () => { if (waStream === ws) onFail(); };
+      waStream = ws;
+    } else {
+      const es = new EventSource(url);
+      es.onopen = onOpen;
+      // onmessage já recebe os eventos "message" (nome padrão do SSE); o
+      // conteúdo decide se é status da instância ou mensagem da caixa de entrada
+      es.onmessage = (e) => handleWhatsAppStreamMessage(e.data);
+      ['state', 'status', 'connection'].forEach(type => {
+        es.addEventListener(type, (e) => handleWhatsAppStreamMessage(e.data, type));
+      });
+      es.addEventListener('qr', (e) => handleWhatsAppStreamMessage(e.data, 'qr'));
+      WA_INBOX_EVENTS.filter(type => type !== 'message').forEach(type => {
+        es.addEventListener(type, (e) => handleWhatsAppStreamMessage(e.data, type));
+      });
+      // Não deixamos o EventSource reconectar sozinho: o backoff é nosso
+      es.onerror = () => onFail();
+      waStream = es;
+    }
+  } catch (err) {
+    console.warn('Stream de status indisponível, usando polling:', err);
+    onFail();
+  }
+}
+
+// Ponto único para começar a acompanhar a instância atual: lê o status uma
+// vez e assina o stream; sem suporte a stream, usa o polling de 4s.
+function startWhatsAppUpdates() {
+  stopWhatsAppUpdates();
+  if (!waCurrentInstance || !waCurrentToken) return;
+  updateWhatsAppStatus();
+  if (!startWhatsAppStream()) startWhatsAppPolling();
+}
+function stopWhatsAppUpdates() {
+  stopWhatsAppStream();
+  stopWhatsAppPolling();
 }
 
 // Define a URL de webhook para a instância atual via backend.
@@ -363,350 +970,1825 @@ async function setWhatsAppWebhook() {
     return;
   }
   try {
-    const res = await fetch(`${BACKEND_BASE}/api/wa/instances/${encodeURIComponent(waCurrentInstance)}/webhook`, {
-      method: 'POST',
-      headers: defaultHeaders,
-      body: JSON.stringify({
-        url,
-        events,
-        // Enviamos em várias chaves para compatibilizar com diferentes backends:
-        exclude,            // nossa chave
-        excludeEvents: exclude,
-        ignore: exclude,
-        token: waCurrentToken
-      })
+    await api.post(`/wa/instances/${encodeURIComponent(waCurrentInstance)}/webhook`, {
+      url,
+      events,
+      // Enviamos em várias chaves para compatibilizar com diferentes backends:
+      exclude,            // nossa chave
+      excludeEvents: exclude,
+      ignore: exclude,
+      token: waCurrentToken
     });
-    if (!res.ok) {
-      const text = await res.text();
-      throw new Error(text || 'Erro ao definir webhook');
-    }
-    // tenta ler JSON, senão exibe texto
-    let msg = 'Webhook definido com sucesso!';
-    try {
-      const data = await res.json();
-      if (data && (data.ok || data.status === 'ok')) msg = 'Webhook definido com sucesso!';
-    } catch (_) {}
-    alert(msg);
+    alert('Webhook definido com sucesso!');
   } catch (err) {
     console.error(err);
-    alert('Falha ao definir webhook: ' + err.message);
+    alert('Falha ao definir webhook: ' + (err.detail || err.message));
   }
 }
 
-// Envia uma mensagem de teste via instância atual para um número
-async function sendWhatsAppTest() {
-  if (!waCurrentInstance || !waCurrentToken) {
-    alert('Crie uma instância primeiro.');
-    return;
-  }
-  const toRaw = document.getElementById('wa-test-number')?.value || '';
-  const to = toRaw.trim();
-  const text = document.getElementById('wa-test-message')?.value.trim();
-  if (!to || !text) {
-    alert('Informe o número e a mensagem.');
+/* =========================================================
+   WHATSAPP — log de entregas do webhook
+   ========================================================= */
+
+const WA_DELIVERIES_PAGE_SIZE = 50;
+let waDeliveries = [];
+let waDeliveriesHasMore = false;
+// Tipos de evento já vistos (alimentam o filtro mesmo após filtrar)
+const waDeliveryEventTypes = new Set(['messages', 'connection']);
+
+// Normaliza uma entrega para { id, at, event, status, ok, payload, response }
+function normalizeWebhookDelivery(raw) {
+  const status = Number(raw.http_status ?? raw.status_code ?? raw.status ?? raw.response_status) || 0;
+  return {
+    id: String(raw.id ?? raw.delivery_id ?? raw.uuid),
+    at: raw.received_at || raw.created_at || raw.timestamp || raw.at || null,
+    event: raw.event || raw.event_type || raw.type || (raw.payload && (raw.payload.event || raw.payload.type)) || 'desconhecido',
+    status,
+    ok: raw.ok ?? (status >= 200 && status < 300),
+    payload: raw.payload ?? raw.body ?? raw.data ?? null,
+    response: raw.response ?? raw.response_body ?? raw.error ?? null
+  };
+}
+
+// Busca as entregas da instância atual (filtradas pelo tipo escolhido)
+async function loadWebhookDeliveries(append = false) {
+  const tbody = document.getElementById('wa-deliveries-list');
+  if (!tbody) return;
+  if (!waCurrentInstance) {
+    waDeliveries = [];
+    waDeliveriesHasMore = false;
+    renderWebhookDeliveries();
     return;
   }
+  const event = document.getElementById('wa-deliveries-event')?.value || '';
+  const params = new URLSearchParams({
+    limit: String(WA_DELIVERIES_PAGE_SIZE),
+    offset: String(append ? waDeliveries.length : 0)
+  });
+  if (event) params.set('event', event);
   try {
-    const res = await fetch(`${BACKEND_BASE}/api/wa/instances/${encodeURIComponent(waCurrentInstance)}/send/text`, {
-      method: 'POST',
-      headers: defaultHeaders,
-      body: JSON.stringify({ token: waCurrentToken, to, text })
-    });
-    if (!res.ok) {
-      const t = await res.text();
-      // Tratamento amigável de desconexão
-      if (res.status === 503 && /disconnected/i.test(t)) {
-        alert('WhatsApp desconectado. Escaneie o QR code para conectar e tente novamente.');
-        await updateWhatsAppStatus();
-        return;
-      }
-      throw new Error(t || 'Erro ao enviar mensagem');
-    }
-    alert('Mensagem enviada!');
+    const data = await api.get(`/wa/instances/${encodeURIComponent(waCurrentInstance)}/webhook/deliveries?${params}`);
+    const items = (Array.isArray(data) ? data : (data.items || data.deliveries || [])).map(normalizeWebhookDelivery);
+    waDeliveries = append ? waDeliveries.concat(items) : items;
+    waDeliveriesHasMore = items.length === WA_DELIVERIES_PAGE_SIZE;
+    items.forEach(d => waDeliveryEventTypes.add(d.event));
   } catch (err) {
     console.error(err);
-    alert('Falha ao enviar mensagem: ' + err.message);
+    if (!append) waDeliveries = [];
+    waDeliveriesHasMore = false;
+    showNotification('Não foi possível carregar as entregas do webhook.', 'danger');
   }
+  renderWebhookDeliveryFilter();
+  renderWebhookDeliveries();
 }
 
-/* =========================================================
-   Funções de integração com o backend (produtos/analytics etc.)
-   ========================================================= */
+function renderWebhookDeliveryFilter() {
+  const select = document.getElementById('wa-deliveries-event');
+  if (!select) return;
+  const current = select.value;
+  select.innerHTML = '<option value="">Todos os eventos</option>' +
+    Array.from(waDeliveryEventTypes).sort().map(t =>
+      `<option value="${escapeHtml(t)}" ${t === current ? 'selected' : ''}>${escapeHtml(t)}</option>`
+    ).join('');
+}
 
-async function fetchProducts() {
-  try {
-    const res = await fetch(`${BACKEND_BASE}/api/products`, { headers: defaultHeaders });
-    if (!res.ok) throw new Error('Falha ao listar produtos');
-    const data = await res.json();
-    products = (data.items || []).map(p => {
-      const price = p.price_cents ? (p.price_cents / 100) : 0;
-      let img = null;
-      const raw = p.image_url || p.image_base64;
-      if (raw) {
-        const lower = String(raw).toLowerCase();
-        if (lower.startsWith('http') || lower.startsWith('data:')) {
-          img = raw;
-        } else if (lower.startsWith('/')) {
-          img = `${BACKEND_BASE}${raw}`;
-        } else {
-          img = `data:image/png;base64,${raw}`;
-        }
-      }
-      return {
-        id: p.id,
-        name: p.title,
-        description: p.slug || '',
-        category: p.category || 'Sem categoria',
-        price,
-        priceCents: p.price_cents || 0,
-        stock: p.stock || 0,
-        status: p.status || 'active',
-        imageRaw: raw || '',
-        image: img
-      };
+function renderWebhookDeliveries() {
+  const tbody = document.getElementById('wa-deliveries-list');
+  if (!tbody) return;
+  const more = document.getElementById('wa-deliveries-more-btn');
+  if (more) more.style.display = waDeliveriesHasMore ? 'inline-block' : 'none';
+  if (!waDeliveries.length) {
+    tbody.innerHTML = `
+      <tr>
+        <td colspan="4" class="text-center text-muted py-3">Nenhuma entrega registrada para esta instância</td>
+      </tr>`;
+    return;
+  }
+  tbody.innerHTML = waDeliveries.map(d => {
+    const when = d.at ? new Date(d.at).toLocaleString('pt-BR') : '—';
+    const id = escapeHtml(d.id);
+    const detail = JSON.stringify({ payload: d.payload, response: d.response }, null, 2);
+    return `
+    <tr class="wa-delivery-row" data-delivery-id="${id}" style="cursor:pointer;">
+      <td class="text-nowrap"><i class="fas fa-chevron-right mr-1 wa-delivery-caret"></i>${escapeHtml(when)}</td>
+      <td><span class="badge badge-primary">${escapeHtml(d.event)}</span></td>
+      <td><span class="badge ${d.ok ? 'badge-success' : 'badge-lead-quente'}">${d.status || 'falhou'}</span></td>
+      <td>
+        <button class="btn btn-sm btn-outline-primary" data-delivery-replay="${id}" title="Reenviar este evento para a plataforma">
+          <i class="fas fa-redo mr-1"></i><span class="d-none d-sm-inline">Replay</span>
+        </button>
+      </td>
+    </tr>
+    <tr class="wa-delivery-detail" data-delivery-detail="${id}" style="display:none;">
+      <td colspan="4"><pre class="wa-delivery-json">${escapeHtml(detail)}</pre></td>
+    </tr>`;
+  }).join('');
+}
+
+// Reenvia um evento armazenado para o webhook da plataforma
+async function replayWebhookDelivery(deliveryId) {
+  if (!waCurrentInstance) return;
+  try {
+    await api.post(`/wa/instances/${encodeURIComponent(waCurrentInstance)}/webhook/deliveries/${encodeURIComponent(deliveryId)}/replay`, {
+      token: waCurrentToken
     });
-    updateProductTable();
+    showNotification('Evento reenviado para a plataforma.', 'success');
+    await loadWebhookDeliveries();
   } catch (err) {
     console.error(err);
-    updateProductTable();
+    showNotification('Falha no replay: ' + apiErrorText(err), 'danger');
   }
 }
 
-async function createProductOnBackend(product) {
+// 503 "disconnected" do backend: instância precisa escanear o QR de novo
+function isWhatsAppDisconnected(err) {
+  return !!err && err.status === 503 && /disconnected/i.test(`${err.code} ${err.detail}`);
+}
+
+/* =========================================================
+   WHATSAPP — envio de mensagens (texto, mídia, localização e modelos)
+   ========================================================= */
+
+let waTemplates = [];
+let waSendFilePreviewUrl = null;
+// Produtos ativos do seletor (catálogo todo, independente da página da lista)
+let waProductOptions = [];
+// Leads da busca do seletor de contato (rótulo exibido → lead)
+let waLeadOptions = [];
+let waLeadSearchTimer = null;
+
+// Substitui {{variavel}}; variáveis sem valor ficam visíveis para revisão
+function fillMessageTemplate(text, vars) {
+  return String(text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+    const value = vars[key.toLowerCase()];
+    return value !== undefined && value !== null && value !== '' ? String(value) : match;
+  });
+}
+
+function getWhatsAppSendProduct() {
+  const id = document.getElementById('wa-send-product')?.value;
+  return id ? waProductOptions.find(p => String(p.id) === id) || null : null;
+}
+
+// Valores das variáveis a partir do contato e do produto escolhidos
+function getWhatsAppSendVars() {
+  const product = getWhatsAppSendProduct();
+  const number = document.getElementById('wa-test-number')?.value.trim() || '';
+  return {
+    nome: document.getElementById('wa-send-name')?.value.trim() || '',
+    telefone: number ? phone.format(number) : '',
+    produto: product ? product.name : '',
+    preco: product ? product.price.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' }) : ''
+  };
+}
+
+const waLeadLabel = (lead) => `${lead.name || 'Sem nome'} — ${phone.format(lead.phone)}`;
+
+// Busca leads no servidor enquanto o usuário digita no seletor de contato
+function searchWhatsAppLeads(term) {
+  clearTimeout(waLeadSearchTimer);
+  waLeadSearchTimer = setTimeout(async () => {
+    const params = new URLSearchParams({ page: '1', page_size: '20' });
+    if (term) params.set('search', term);
+    try {
+      const data = await api.get(`/leads?${params}`);
+      waLeadOptions = (Array.isArray(data) ? data : (data.items || [])).map(normalizeLead).filter(l => l.phone);
+    } catch (err) {
+      console.error(err);
+      waLeadOptions = [];
+    }
+    const list = document.getElementById('wa-send-lead-options');
+    if (list) list.innerHTML = waLeadOptions.map(l => `<option value="${escapeHtml(waLeadLabel(l))}"></option>`).join('');
+  }, 300);
+}
+
+// Lead escolhido na lista: preenche o número de destino e o {{nome}}
+function applyWhatsAppLead() {
+  const input = document.getElementById('wa-send-lead');
+  const lead = input && waLeadOptions.find(l => waLeadLabel(l) === input.value);
+  if (!lead) return;
+  const number = document.getElementById('wa-test-number');
+  const name = document.getElementById('wa-send-name');
+  if (number) number.value = phone.normalize(lead.phone) || lead.phone;
+  if (name) name.value = lead.name;
+  renderWhatsAppSendPreview();
+}
+
+async function loadWhatsAppProductOptions() {
   try {
-    const payload = {
-      org_id: Number(defaultHeaders['X-Org-ID']),
-      flow_id: Number(defaultHeaders['X-Flow-ID']),
-      title: product.name,
-      slug: product.description,
-      status: 'active',
-      image_url: product.imageUrl || '',
-      price_cents: product.priceCents || 0,
-      stock: product.stock || 0,
-      category: product.category || ''
-    };
-    const res = await fetch(`${BACKEND_BASE}/api/products`, {
-      method: 'POST',
-      headers: defaultHeaders,
-      body: JSON.stringify(payload)
-    });
-    if (!res.ok) throw new Error('Falha ao criar produto');
-    return await res.json();
+    waProductOptions = await fetchAllProducts({ status: 'active' });
   } catch (err) {
     console.error(err);
-    return null;
   }
+  renderWhatsAppProductOptions();
 }
 
-async function deleteProductOnBackend(id) {
+function renderWhatsAppProductOptions() {
+  const select = document.getElementById('wa-send-product');
+  if (!select) return;
+  const current = select.value;
+  select.innerHTML = '<option value="">Nenhum</option>' + waProductOptions.map(p =>
+    `<option value="${escapeHtml(p.id)}" ${String(p.id) === current ? 'selected' : ''}>${escapeHtml(p.name)}</option>`
+  ).join('');
+  renderWhatsAppSendPreview();
+}
+
+// Mostra só os campos do tipo de mensagem escolhido
+function updateWhatsAppSendFields() {
+  const type = document.getElementById('wa-send-type')?.value || 'text';
+  document.querySelectorAll('.wa-send-field').forEach(el => {
+    el.style.display = el.dataset.waTypes.split(' ').includes(type) ? '' : 'none';
+  });
+  const file = document.getElementById('wa-send-file');
+  if (file) file.accept = { image: 'image/*', audio: 'audio/*', document: '' }[type] || '';
+  renderWhatsAppSendPreview();
+}
+
+// Pré-visualização em formato de balão, igual ao que o contato vai receber
+function renderWhatsAppSendPreview() {
+  const box = document.getElementById('wa-send-preview');
+  if (!box) return;
+  const type = document.getElementById('wa-send-type')?.value || 'text';
+  const text = fillMessageTemplate(document.getElementById('wa-test-message')?.value, getWhatsAppSendVars());
+  const file = document.getElementById('wa-send-file')?.files[0] || null;
+  const product = getWhatsAppSendProduct();
+  if (waSendFilePreviewUrl) {
+    URL.revokeObjectURL(waSendFilePreviewUrl);
+    waSendFilePreviewUrl = null;
+  }
+  if (file && (type === 'image' || type === 'audio')) waSendFilePreviewUrl = URL.createObjectURL(file);
+
+  let media = '';
+  if (type === 'image') {
+    const src = waSendFilePreviewUrl || (product && product.image);
+    media = src
+      ? `<img src="${escapeHtml(src)}" alt="Prévia da imagem">`
+      : '<div class="text-muted"><i class="fas fa-image mr-1"></i>Escolha uma imagem ou um produto com foto</div>';
+  } else if (type === 'document') {
+    media = `<div><i class="fas fa-file-alt mr-1"></i>${file ? escapeHtml(file.name) : 'Escolha um documento'}</div>`;
+  } else if (type === 'audio') {
+    media = waSendFilePreviewUrl
+      ? `<audio controls src="${waSendFilePreviewUrl}"></audio>`
+      : '<div class="text-muted"><i class="fas fa-microphone mr-1"></i>Escolha um arquivo de áudio</div>';
+  } else if (type === 'location') {
+    const lat = document.getElementById('wa-send-lat')?.value;
+    const lng = document.getElementById('wa-send-lng')?.value;
+    const name = document.getElementById('wa-send-location-name')?.value.trim();
+    media = lat && lng
+      ? `<div><i class="fas fa-map-marker-alt mr-1"></i>${escapeHtml(name || 'Localização')}</div>
+         <a href="https://www.google.com/maps?q=${encodeURIComponent(lat)},${encodeURIComponent(lng)}" target="_blank" rel="noopener">${escapeHtml(lat)}, ${escapeHtml(lng)}</a>`
+      : '<div class="text-muted"><i class="fas fa-map-marker-alt mr-1"></i>Informe latitude e longitude</div>';
+  }
+  const caption = type === 'audio' || type === 'location' ? '' : text;
+  box.innerHTML = media || caption
+    ? `<div class="wa-bubble">${media}${caption ? `<div class="wa-bubble-text">${escapeHtml(caption)}</div>` : ''}</div>`
+    : '<span class="text-muted">A mensagem aparecerá aqui.</span>';
+}
+
+// Modelos de mensagem da organização
+async function loadWhatsAppTemplates() {
   try {
-    const res = await fetch(`${BACKEND_BASE}/api/products/${id}`, { method: 'DELETE', headers: defaultHeaders });
-    if (!res.ok) throw new Error('Falha ao remover produto');
-    return true;
+    const data = await api.get('/wa/templates');
+    waTemplates = (Array.isArray(data) ? data : (data.items || data.templates || []))
+      .map(t => ({ id: String(t.id), name: t.name || t.title || 'Modelo', text: t.text || t.body || '' }));
   } catch (err) {
     console.error(err);
-    return false;
+    waTemplates = [];
   }
+  renderWhatsAppTemplateOptions();
+}
+
+function renderWhatsAppTemplateOptions(selectedId) {
+  const select = document.getElementById('wa-template-select');
+  if (!select) return;
+  const current = selectedId !== undefined ? selectedId : select.value;
+  select.innerHTML = '<option value="">Sem modelo</option>' + waTemplates.map(t =>
+    `<option value="${escapeHtml(t.id)}" ${t.id === current ? 'selected' : ''}>${escapeHtml(t.name)}</option>`
+  ).join('');
 }
 
-async function fetchAnalyticsSummary() {
+function applyWhatsAppTemplate() {
+  const id = document.getElementById('wa-template-select')?.value;
+  const tpl = waTemplates.find(t => t.id === id);
+  const msg = document.getElementById('wa-test-message');
+  if (tpl && msg) msg.value = tpl.text;
+  renderWhatsAppSendPreview();
+}
+
+// Salva o texto atual (com as variáveis, sem preencher) como modelo
+async function saveWhatsAppTemplate() {
+  const text = document.getElementById('wa-test-message')?.value.trim();
+  if (!text) {
+    alert('Escreva a mensagem antes de salvar o modelo.');
+    return;
+  }
+  const selected = waTemplates.find(t => t.id === document.getElementById('wa-template-select')?.value);
+  const name = prompt('Nome do modelo:', selected ? selected.name : '');
+  if (!name || !name.trim()) return;
   try {
-    const res = await fetch(`${BACKEND_BASE}/api/analytics/summary`, { headers: defaultHeaders });
-    if (!res.ok) throw new Error('Falha ao buscar resumo analítico');
-    return await res.json();
+    const saved = selected && selected.name === name.trim()
+      ? await api.put(`/wa/templates/${encodeURIComponent(selected.id)}`, { name: name.trim(), text })
+      : await api.post('/wa/templates', { name: name.trim(), text });
+    await loadWhatsAppTemplates();
+    if (saved && saved.id !== undefined) renderWhatsAppTemplateOptions(String(saved.id));
+    showNotification('Modelo salvo!', 'success');
   } catch (err) {
     console.error(err);
-    return null;
+    showNotification('Não foi possível salvar o modelo: ' + apiErrorText(err), 'danger');
   }
 }
 
-async function fetchTopProducts() {
+async function deleteWhatsAppTemplate() {
+  const tpl = waTemplates.find(t => t.id === document.getElementById('wa-template-select')?.value);
+  if (!tpl || !confirm(`Excluir o modelo "${tpl.name}"?`)) return;
   try {
-    const res = await fetch(`${BACKEND_BASE}/api/analytics/top-products`, { headers: defaultHeaders });
-    if (!res.ok) throw new Error('Falha ao buscar top produtos');
-    return await res.json();
+    await api.del(`/wa/templates/${encodeURIComponent(tpl.id)}`);
+    await loadWhatsAppTemplates();
+    showNotification('Modelo excluído.', 'success');
   } catch (err) {
     console.error(err);
-    return null;
+    showNotification('Não foi possível excluir o modelo: ' + apiErrorText(err), 'danger');
   }
 }
 
-async function fetchSalesByHour() {
+// Envia a mensagem do painel via instância atual (texto, mídia ou localização)
+async function sendWhatsAppTest() {
+  if (!waCurrentInstance || !waCurrentToken) {
+    alert('Crie uma instância primeiro.');
+    return;
+  }
+  const type = document.getElementById('wa-send-type')?.value || 'text';
+  const toRaw = document.getElementById('wa-test-number')?.value || '';
+  const parsed = phone.parse(toRaw);
+  const to = parsed.whatsapp;
+  const text = fillMessageTemplate(document.getElementById('wa-test-message')?.value.trim(), getWhatsAppSendVars());
+  if (!parsed.valid) {
+    alert(`Número inválido: ${parsed.error}`);
+    return;
+  }
+  if (/\{\{\s*\w+\s*\}\}/.test(text) && type !== 'audio' && type !== 'location') {
+    alert('Há variáveis sem valor na mensagem. Preencha o contato/produto ou ajuste o texto.');
+    return;
+  }
+  const base = `/wa/instances/${encodeURIComponent(waCurrentInstance)}/send`;
+  const btn = document.getElementById('wa-send-test-btn');
+  if (btn) btn.disabled = true;
   try {
-    const res = await fetch(`${BACKEND_BASE}/api/analytics/sales-by-hour`, { headers: defaultHeaders });
-    if (!res.ok) throw new Error('Falha ao buscar vendas por hora');
-    return await res.json();
+    if (type === 'text') {
+      if (!text) {
+        alert('Informe a mensagem.');
+        return;
+      }
+      await api.post(`${base}/text`, { token: waCurrentToken, to, text });
+    } else if (type === 'location') {
+      const latitude = parseFloat(document.getElementById('wa-send-lat')?.value);
+      const longitude = parseFloat(document.getElementById('wa-send-lng')?.value);
+      if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+        alert('Informe latitude e longitude válidas.');
+        return;
+      }
+      const name = document.getElementById('wa-send-location-name')?.value.trim() || '';
+      await api.post(`${base}/location`, { token: waCurrentToken, to, latitude, longitude, name });
+    } else {
+      const file = document.getElementById('wa-send-file')?.files[0] || null;
+      const product = getWhatsAppSendProduct();
+      let url = null;
+      if (file) {
+        url = type === 'image' ? await uploadImage(file) : await uploadMedia(file);
+      } else if (type === 'image' && product && product.image && !product.image.startsWith('data:')) {
+        url = product.image;
+      }
+      if (!url) {
+        alert(type === 'image' ? 'Escolha uma imagem ou um produto com foto.' : 'Escolha um arquivo.');
+        return;
+      }
+      await api.post(`${base}/media`, {
+        token: waCurrentToken,
+        to,
+        type,
+        url,
+        caption: type === 'audio' ? '' : text,
+        filename: file ? file.name : ''
+      }, { timeout: 60000 });
+    }
+    alert('Mensagem enviada!');
   } catch (err) {
+    // Tratamento amigável de desconexão
+    if (isWhatsAppDisconnected(err)) {
+      alert('WhatsApp desconectado. Escaneie o QR code para conectar e tente novamente.');
+      await updateWhatsAppStatus();
+      return;
+    }
     console.error(err);
-    return null;
+    alert('Falha ao enviar mensagem: ' + (err.detail || err.message));
+  } finally {
+    if (btn) btn.disabled = false;
   }
 }
 
-async function loadAnalytics() {
-  const summary = await fetchAnalyticsSummary();
-  if (summary) {
-    const convEl = document.getElementById('conversations-count');
-    const leadsEl = document.getElementById('leads-count');
-    const salesEl = document.getElementById('sales-count');
-    const convRateEl = document.getElementById('conversion-rate');
-    if (convEl) convEl.textContent = summary.conversations;
-    if (leadsEl) leadsEl.textContent = summary.leads;
-    if (salesEl) salesEl.textContent = summary.sales;
-    if (convRateEl) convRateEl.textContent = (summary.conversion_rate || 0).toFixed(1) + '%';
-    const recoveredEl = document.getElementById('recovered-leads-value');
-    const timeEl = document.getElementById('best-time-range');
-    const topProductEl = document.getElementById('top-product-name');
-    if (recoveredEl) recoveredEl.textContent = summary.recovered_leads;
-    if (timeEl) timeEl.textContent = summary.best_time_range;
-    if (topProductEl) topProductEl.textContent = summary.top_product;
+/* =========================================================
+   WHATSAPP — campanhas (envio em massa com ritmo controlado)
+   ========================================================= */
+
+const WA_CAMPAIGN_STATUS = {
+  pending: { label: 'Pendente', badge: 'badge-secondary' },
+  sending: { label: 'Enviando', badge: 'badge-primary' },
+  sent: { label: 'Enviado', badge: 'badge-success' },
+  failed: { label: 'Falhou', badge: 'badge-lead-quente' },
+  skipped: { label: 'Ignorado', badge: 'badge-warning' }
+};
+const WA_CAMPAIGN_PHONE_KEYS = ['telefone', 'phone', 'numero', 'celular', 'whatsapp', 'fone'];
+const WA_CAMPAIGN_NAME_KEYS = ['nome', 'name', 'cliente'];
+
+// Campanha atual: state = draft | running | paused | done | canceled
+let waCampaign = null;
+let waCampaignLoop = false;
+let waCampaignWake = null;
+
+// Cria o rascunho da campanha a partir de [{ phone, name, vars }]
+function setWhatsAppCampaignRecipients(list) {
+  if (waCampaign && (waCampaign.state === 'running' || waCampaign.state === 'paused')) {
+    alert('Cancele a campanha atual antes de carregar novos destinatários.');
+    return;
   }
-  await createPerformanceChart();
+  const seen = new Set();
+  const recipients = [];
+  list.forEach(item => {
+    if (!String(item.phone || '').trim()) return;
+    // Números inválidos entram como ignorados, para aparecerem no relatório
+    const parsed = phone.parse(item.phone);
+    const to = parsed.valid ? parsed.whatsapp : String(item.phone).trim();
+    if (seen.has(to)) return;
+    seen.add(to);
+    const name = String(item.name || '').trim();
+    recipients.push({
+      to,
+      name,
+      vars: { ...(item.vars || {}), nome: name },
+      status: parsed.valid ? 'pending' : 'skipped',
+      detail: parsed.valid ? '' : parsed.error
+    });
+  });
+  waCampaign = { state: 'draft', recipients, note: '' };
+  renderWhatsAppCampaign();
+  const invalid = recipients.filter(r => r.status === 'skipped').length;
+  showNotification(
+    `${recipients.length} destinatário(s) carregado(s)${invalid ? `, ${invalid} com número inválido` : ''}.`,
+    recipients.length && !invalid ? 'success' : 'warning'
+  );
 }
 
-async function uploadImage(file) {
-  if (!file) return null;
-  const formData = new FormData();
-  formData.append('image', file);
-  const headers = {
-    'X-Org-ID': defaultHeaders['X-Org-ID'],
-    'X-Flow-ID': defaultHeaders['X-Flow-ID']
+async function loadWhatsAppCampaignLeads() {
+  const category = document.getElementById('wa-campaign-lead-category')?.value || '';
+  try {
+    const items = await fetchAllPages('/leads', category ? { category } : {});
+    setWhatsAppCampaignRecipients(items.map(l => ({
+      phone: l.phone || l.telefone || l.whatsapp,
+      name: l.name || l.nome || '',
+      vars: { categoria: l.category || '' }
+    })));
+  } catch (err) {
+    console.error(err);
+    showNotification('Não foi possível carregar os leads: ' + apiErrorText(err), 'danger');
+  }
+}
+
+async function importWhatsAppCampaignCsv(file) {
+  if (!file) return;
+  const rows = parseCsv(await file.text());
+  if (rows.length < 2) {
+    alert('O CSV precisa de um cabeçalho e ao menos uma linha.');
+    return;
+  }
+  const keys = rows[0].map(toVarKey);
+  const phoneIdx = keys.findIndex(k => WA_CAMPAIGN_PHONE_KEYS.includes(k));
+  const nameIdx = keys.findIndex(k => WA_CAMPAIGN_NAME_KEYS.includes(k));
+  if (phoneIdx < 0) {
+    alert('Não encontramos a coluna de telefone (use "telefone", "phone" ou "numero").');
+    return;
+  }
+  setWhatsAppCampaignRecipients(rows.slice(1).map(cells => {
+    const vars = {};
+    keys.forEach((k, i) => { if (k) vars[k] = (cells[i] || '').trim(); });
+    return { phone: cells[phoneIdx], name: nameIdx >= 0 ? cells[nameIdx] : '', vars };
+  }));
+}
+
+// Milissegundos até poder enviar (data de início e janela diária de horário)
+function whatsAppCampaignWaitMs(c, now = new Date()) {
+  if (c.startAt && now < new Date(c.startAt)) return new Date(c.startAt) - now;
+  const toMinutes = (hhmm) => {
+    const m = /^(\d{1,2}):(\d{2})/.exec(hhmm || '');
+    return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+  };
+  const from = toMinutes(c.windowStart);
+  const to = toMinutes(c.windowEnd);
+  if (from === null || to === null || from === to) return 0;
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  // Janela que vira a noite (ex.: 22:00–06:00) também é aceita
+  const inside = from < to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+  if (inside) return 0;
+  const next = new Date(now);
+  next.setHours(Math.floor(from / 60), from % 60, 0, 0);
+  if (next <= now) next.setDate(next.getDate() + 1);
+  return next - now;
+}
+
+// Espera interrompível: pausar/cancelar acorda o laço na hora
+function waitWhatsAppCampaign(ms) {
+  return new Promise(resolve => {
+    const t = setTimeout(done, ms);
+    function done() {
+      clearTimeout(t);
+      waCampaignWake = null;
+      resolve();
+    }
+    waCampaignWake = done;
+  });
+}
+
+function wakeWhatsAppCampaign() {
+  if (waCampaignWake) waCampaignWake();
+}
+
+function startWhatsAppCampaign() {
+  if (!waCampaign || waCampaign.state !== 'draft' || !waCampaign.recipients.length) {
+    alert('Carregue os destinatários primeiro.');
+    return;
+  }
+  if (!waCurrentInstance || !waCurrentToken) {
+    alert('Crie ou selecione uma instância primeiro.');
+    return;
+  }
+  const text = document.getElementById('wa-campaign-message')?.value.trim();
+  if (!text) {
+    alert('Escreva a mensagem da campanha.');
+    return;
+  }
+  const num = (id, def) => {
+    const v = Number(document.getElementById(id)?.value);
+    return Number.isFinite(v) && v >= 0 ? v : def;
   };
-  if (defaultHeaders['Authorization']) headers['Authorization'] = defaultHeaders['Authorization'];
-  // (AJUSTE) inclui instância no upload se existir
+  const delayMin = num('wa-campaign-delay-min', 8);
+  const startAt = document.getElementById('wa-campaign-start')?.value;
+  if (!confirm(`Enviar para ${waCampaign.recipients.length} destinatário(s)?`)) return;
+  Object.assign(waCampaign, {
+    orgId: api.orgId(),
+    instance: waCurrentInstance,
+    token: waCurrentToken,
+    text,
+    startAt: startAt ? new Date(startAt).toISOString() : null,
+    windowStart: document.getElementById('wa-campaign-window-start')?.value || '',
+    windowEnd: document.getElementById('wa-campaign-window-end')?.value || '',
+    perMinute: Math.max(1, num('wa-campaign-rate', 6)),
+    delayMin,
+    delayMax: Math.max(delayMin, num('wa-campaign-delay-max', 25)),
+    state: 'running',
+    note: ''
+  });
+  persistWhatsAppCampaign();
+  renderWhatsAppCampaign();
+  runWhatsAppCampaign();
+}
+
+// Laço de envio: um destinatário por vez, respeitando janela e ritmo
+async function runWhatsAppCampaign() {
+  if (waCampaignLoop) return;
+  waCampaignLoop = true;
+  const c = waCampaign;
   try {
-    const inst = localStorage.getItem('wa_instance');
-    const instTok = localStorage.getItem('wa_token');
-    if (inst) headers['X-Instance-ID'] = inst;
-    if (instTok) headers['X-Instance-Token'] = instTok;
-  } catch (_) {}
-  const res = await fetch(`${BACKEND_BASE}/api/upload`, { method: 'POST', headers, body: formData });
-  if (!res.ok) throw new Error('Falha ao enviar imagem');
-  const data = await res.json();
-  return data.url;
+    while (waCampaign === c && c.state === 'running') {
+      const next = c.recipients.find(r => r.status === 'pending');
+      if (!next) {
+        c.state = 'done';
+        c.note = 'Campanha concluída.';
+        break;
+      }
+      const wait = whatsAppCampaignWaitMs(c);
+      if (wait > 0) {
+        c.note = `Aguardando a janela de envio (${new Date(Date.now() + wait).toLocaleString('pt-BR')}).`;
+        renderWhatsAppCampaignSummary();
+        // Reavalia a cada minuto (o relógio/fuso da máquina pode mudar)
+        await waitWhatsAppCampaign(Math.min(wait, 60000));
+        continue;
+      }
+      const pauseMs = await sendWhatsAppCampaignMessage(c, next);
+      persistWhatsAppCampaign();
+      if (c.state !== 'running') break;
+      const jitter = (c.delayMin + Math.random() * (c.delayMax - c.delayMin)) * 1000;
+      const gap = Math.max(pauseMs, 60000 / c.perMinute, jitter);
+      c.note = `Próximo envio em ${Math.round(gap / 1000)}s.`;
+      renderWhatsAppCampaignSummary();
+      await waitWhatsAppCampaign(gap);
+    }
+  } finally {
+    waCampaignLoop = false;
+    persistWhatsAppCampaign();
+    renderWhatsAppCampaignSummary();
+  }
 }
 
-// ===== DADOS EXEMPLO =====
-const sampleData = {
-  conversations: [
-    { id: 1, date: '2023-10-27', lastMessage: 'Olá, gostaria de saber mais sobre...', status: 'Aberta' },
-    { id: 2, date: '2023-10-26', lastMessage: 'Qual o valor do frete?', status: 'Fechada' },
-    { id: 3, date: '2023-10-25', lastMessage: 'Preciso de ajuda com o produto', status: 'Aberta' },
-    { id: 4, date: '2023-10-24', lastMessage: 'Obrigado pelo atendimento!', status: 'Fechada' },
-  ],
-  leads: [
-    { name: 'João Silva', phone: '(11) 98765-4321', lastMessageDate: '2023-10-27', category: 'Lead' },
-    { name: 'Maria Oliveira', phone: '(21) 91234-5678', lastMessageDate: '2023-10-26', category: 'Lead Qualificado' },
-    { name: 'Carlos Pereira', phone: '(31) 99876-5432', lastMessageDate: '2023-10-25', category: 'Lead Quente' },
-    { name: 'Ana Souza', phone: '(41) 98765-1234', lastMessageDate: '2023-10-24', category: 'Prospectivos Clientes' },
-    { name: 'Pedro Costa', phone: '(51) 91234-9876', lastMessageDate: '2023-10-23', category: 'Cliente' },
-    { name: 'Fernanda Lima', phone: '(85) 99887-6543', lastMessageDate: '2023-10-22', category: 'Lead' },
-    { name: 'Roberto Santos', phone: '(62) 98765-4321', lastMessageDate: '2023-10-21', category: 'Lead Qualificado' },
-    { name: 'Juliana Rocha', phone: '(47) 91234-5678', lastMessageDate: '2023-10-20', category: 'Lead Quente' },
-  ],
-  sales: [
-    { id: 101, product: 'Smartphone XYZ', value: 1250.00, date: '2023-10-25' },
-    { id: 102, product: 'Fone de Ouvido ABC', value: 350.00, date: '2023-10-24' },
-    { id: 103, product: 'Notebook Pro', value: 2800.00, date: '2023-10-23' },
-    { id: 104, product: 'Smartwatch Elite', value: 899.00, date: '2023-10-22' },
-  ],
-  satisfaction: [
-    { id: 201, rating: 5, comment: 'Atendimento excelente!', date: '2023-10-23' },
-    { id: 202, rating: 4, comment: 'Bom, mas poderia ser mais rápido.', date: '2023-10-22' },
-    { id: 203, rating: 5, comment: 'Muito satisfeito com o produto.', date: '2023-10-21' },
-    { id: 204, rating: 3, comment: 'Atendimento regular.', date: '2023-10-20' },
-  ]
-};
+// Envia para um destinatário; devolve uma espera extra (ms) quando o backend pede calma
+async function sendWhatsAppCampaignMessage(c, r) {
+  const text = fillMessageTemplate(c.text, r.vars);
+  const missing = text.match(/\{\{\s*\w+\s*\}\}/);
+  if (missing) {
+    r.status = 'skipped';
+    r.detail = `Sem valor para ${missing[0]}`;
+    renderWhatsAppCampaignRow(c.recipients.indexOf(r));
+    return 0;
+  }
+  r.status = 'sending';
+  r.detail = '';
+  renderWhatsAppCampaignRow(c.recipients.indexOf(r));
+  let pauseMs = 0;
+  try {
+    await api.post(`/wa/instances/${encodeURIComponent(c.instance)}/send/text`, { token: c.token, to: r.to, text });
+    r.status = 'sent';
+    r.detail = new Date().toLocaleTimeString('pt-BR');
+  } catch (err) {
+    if (isWhatsAppDisconnected(err)) {
+      // Volta para a fila e pausa até a instância ser reconectada
+      r.status = 'pending';
+      pauseWhatsAppCampaign('WhatsApp desconectado. Escaneie o QR code para reconectar e clique em Retomar.');
+      showNotification('Campanha pausada: WhatsApp desconectado.', 'warning');
+      try { await updateWhatsAppStatus(); } catch (_) {}
+    } else if (err.status === 429) {
+      r.status = 'pending';
+      pauseMs = 60000;
+    } else {
+      console.error(err);
+      r.status = 'failed';
+      r.detail = err.detail || err.message;
+    }
+  }
+  renderWhatsAppCampaignRow(c.recipients.indexOf(r));
+  return pauseMs;
+}
 
-// ===== SEÇÕES =====
-function showSection(sectionId) {
-  const sections = document.querySelectorAll('.content-section');
-  sections.forEach(section => { section.style.display = 'none'; });
-  const targetSection = document.getElementById(sectionId);
-  if (targetSection) targetSection.style.display = 'block';
-  const navLinks = document.querySelectorAll('.nav-sidebar .nav-link');
-  navLinks.forEach(link => { link.classList.remove('active'); });
-  const activeLink = document.querySelector(`[onclick="showSection('${sectionId}')"]`);
-  if (activeLink) activeLink.classList.add('active');
-  if (sectionId === 'analysis') setTimeout(createPerformanceChart, 100);
-  if (sectionId === 'company') { try { loadCompany(); } catch (_) {} }
+function pauseWhatsAppCampaign(note = 'Campanha pausada.') {
+  if (!waCampaign || waCampaign.state !== 'running') return;
+  waCampaign.state = 'paused';
+  waCampaign.note = note;
+  wakeWhatsAppCampaign();
+  persistWhatsAppCampaign();
+  renderWhatsAppCampaignSummary();
+}
+
+function resumeWhatsAppCampaign() {
+  if (!waCampaign || waCampaign.state !== 'paused') return;
+  waCampaign.state = 'running';
+  waCampaign.note = '';
+  persistWhatsAppCampaign();
+  renderWhatsAppCampaignSummary();
+  runWhatsAppCampaign();
+}
+
+function toggleWhatsAppCampaignPause() {
+  if (waCampaign && waCampaign.state === 'paused') resumeWhatsAppCampaign();
+  else pauseWhatsAppCampaign();
+}
+
+function cancelWhatsAppCampaign() {
+  if (!waCampaign || !['running', 'paused'].includes(waCampaign.state)) return;
+  if (!confirm('Cancelar a campanha? Os destinatários pendentes não receberão a mensagem.')) return;
+  waCampaign.state = 'canceled';
+  waCampaign.note = 'Campanha cancelada.';
+  wakeWhatsAppCampaign();
+  persistWhatsAppCampaign();
+  renderWhatsAppCampaignSummary();
+}
 
+// Campanhas ficam salvas por organização para sobreviver a um recarregamento
+function persistWhatsAppCampaign() {
+  if (!waCampaign || !waCampaign.orgId) return;
   try {
-    const pathMap = {
-      'agent-config': '/agente',
-      'analysis': '/analise',
-      'products': '/produtos',
-      'payments': '/pagamentos',
-      'company': '/empresa',
-      'users': '/usuarios',
-      'wa': '/whatsapp'
-    };
-    const newPath = pathMap[sectionId];
-    if (newPath && history.pushState) history.pushState(null, '', newPath);
+    const map = JSON.parse(localStorage.getItem('wa_campaigns_by_org') || '{}');
+    map[waCampaign.orgId] = waCampaign;
+    localStorage.setItem('wa_campaigns_by_org', JSON.stringify(map));
   } catch (_) {}
 }
 
-// Atualiza saudações com o nome do usuário + ações da Empresa
-document.addEventListener('DOMContentLoaded', () => {
+function restoreWhatsAppCampaign() {
+  waCampaign = null;
   try {
-    const name = (localStorage.getItem('user_name') || '').toUpperCase();
-    document.querySelectorAll('.user-name').forEach(el => { el.textContent = name; });
+    const map = JSON.parse(localStorage.getItem('wa_campaigns_by_org') || '{}');
+    const saved = map[api.orgId()];
+    if (saved && saved.recipients) {
+      waCampaign = saved;
+      saved.recipients.forEach(r => { if (r.status === 'sending') r.status = 'pending'; });
+      if (saved.state === 'running') {
+        saved.state = 'paused';
+        saved.note = 'A página foi recarregada durante o envio. Clique em Retomar para continuar.';
+      }
+    }
   } catch (_) {}
+  const msg = document.getElementById('wa-campaign-message');
+  if (msg && waCampaign && waCampaign.text) msg.value = waCampaign.text;
+  renderWhatsAppCampaign();
+}
 
-  // Busca CNPJ
-  const cnpjButtons = document.querySelectorAll('.company-cnpj-search-btn');
-  const cnpjInput = document.getElementById('company-cnpj');
-  if (cnpjButtons.length && cnpjInput) {
-    cnpjButtons.forEach(btn => {
-      btn.addEventListener('click', async () => {
-        const raw = cnpjInput.value || '';
-        const digits = raw.replace(/\D/g, '');
-        if (digits.length !== 14) { alert('CNPJ inválido. Digite um número com 14 dígitos.'); return; }
-        cnpjButtons.forEach(b => b.disabled = true);
-        const originalTexts = Array.from(cnpjButtons).map(b => b.textContent);
-        cnpjButtons.forEach((b, idx) => { if (!b.classList.contains('d-sm-none')) b.textContent = 'Buscando...'; });
-        try {
-          const res = await fetch(`https://brasilapi.com.br/api/cnpj/v1/${digits}`);
-          if (!res.ok) throw new Error('Falha na requisição');
-          const data = await res.json();
-          const setValue = (id, value) => { const el = document.getElementById(id); if (el) el.value = value || ''; };
-          setValue('company-razao', data.razao_social);
-          setValue('company-fantasia', data.nome_fantasia);
-          if (data.ddd_telefone_1) setValue('company-phone', data.ddd_telefone_1);
-          setValue('company-email', data.email);
-          const endereco = [data.logradouro, data.complemento].filter(Boolean).join(' ');
-          setValue('company-endereco', endereco);
-          setValue('company-numero', data.numero);
-          setValue('company-bairro', data.bairro);
-          setValue('company-cidade', data.municipio);
-          setValue('company-cep', data.cep);
-          const ufSelect = document.getElementById('company-uf');
-          if (ufSelect && data.uf) ufSelect.value = data.uf;
-        } catch (err) {
-          console.error(err);
-          alert('Não foi possível buscar os dados do CNPJ.');
-        } finally {
-          cnpjButtons.forEach((b, idx) => {
-            b.disabled = false;
-            if (!b.classList.contains('d-sm-none')) b.textContent = originalTexts[idx] || 'Buscar CNPJ';
-          });
-        }
-      });
-    });
+function renderWhatsAppCampaignRow(index) {
+  const tbody = document.getElementById('wa-campaign-recipients');
+  const r = waCampaign && waCampaign.recipients[index];
+  if (!tbody || !r) return;
+  const st = WA_CAMPAIGN_STATUS[r.status] || WA_CAMPAIGN_STATUS.pending;
+  const html = `
+      <td>${escapeHtml(r.to)}</td>
+      <td>${escapeHtml(r.name || '—')}</td>
+      <td><span class="badge ${st.badge}">${st.label}</span></td>
+      <td class="small">${escapeHtml(r.detail || '')}</td>`;
+  const row = tbody.querySelector(`tr[data-campaign-index="${index}"]`);
+  if (row) row.innerHTML = html;
+  else tbody.insertAdjacentHTML('beforeend', `<tr data-campaign-index="${index}">${html}</tr>`);
+  renderWhatsAppCampaignSummary();
+}
+
+// Barra de progresso, contadores e estado dos botões
+function renderWhatsAppCampaignSummary() {
+  const summary = document.getElementById('wa-campaign-summary');
+  const bar = document.getElementById('wa-campaign-progress');
+  const startBtn = document.getElementById('wa-campaign-start-btn');
+  const pauseBtn = document.getElementById('wa-campaign-pause-btn');
+  const cancelBtn = document.getElementById('wa-campaign-cancel-btn');
+  const c = waCampaign;
+  const list = c ? c.recipients : [];
+  const count = (st) => list.filter(r => r.status === st).length;
+  const finished = count('sent') + count('failed') + count('skipped');
+  if (bar) bar.style.width = list.length ? `${Math.round(finished / list.length * 100)}%` : '0%';
+  if (summary) {
+    summary.textContent = list.length
+      ? `${count('sent')} enviado(s) · ${count('failed')} com falha · ${count('skipped')} ignorado(s) · ${count('pending') + count('sending')} pendente(s)${c.note ? ` — ${c.note}` : ''}`
+      : 'Nenhum destinatário carregado.';
   }
+  const state = c ? c.state : null;
+  if (startBtn) startBtn.disabled = state !== 'draft' || !list.length;
+  if (pauseBtn) {
+    pauseBtn.disabled = state !== 'running' && state !== 'paused';
+    pauseBtn.innerHTML = state === 'paused'
+      ? '<i class="fas fa-play mr-1"></i>Retomar'
+      : '<i class="fas fa-pause mr-1"></i>Pausar';
+  }
+  if (cancelBtn) cancelBtn.disabled = state !== 'running' && state !== 'paused';
+}
 
-  // Salvar empresa
-  const saveBtn = document.getElementById('company-save-btn');
-  if (saveBtn) {
-    saveBtn.addEventListener('click', async () => {
-      const getVal = (id) => { const el = document.getElementById(id); return el ? el.value.trim() : ''; };
-      const payload = {
-        name: null,
-        tax_id: getVal('company-cnpj').replace(/\D/g, '') || null,
-        razao_social: getVal('company-razao') || null,
-        nome_fantasia: getVal('company-fantasia') || null,
-        inscricao_estadual: getVal('company-insc') || null,
-        segmento: getVal('company-segment') || null,
-        telefone: getVal('company-phone') || null,
+function renderWhatsAppCampaign() {
+  const tbody = document.getElementById('wa-campaign-recipients');
+  if (tbody) tbody.innerHTML = '';
+  const list = waCampaign ? waCampaign.recipients : [];
+  list.forEach((_, i) => renderWhatsAppCampaignRow(i));
+  const vars = document.getElementById('wa-campaign-vars');
+  if (vars) {
+    const keys = list.length ? Object.keys(list[0].vars) : ['nome'];
+    vars.textContent = 'Variáveis: ' + keys.map(k => `{{${k}}}`).join(', ');
+  }
+  renderWhatsAppCampaignSummary();
+}
+
+/* =========================================================
+   CONVERSAS (inbox ao vivo e transferência para humano)
+   ========================================================= */
+
+const INBOX_PAGE_SIZE = 50;
+const INBOX_POLL_MS = 15000;
+let inboxConversations = [];
+let inboxCurrentId = null;
+let inboxMessages = [];
+let inboxHasOlder = false;
+let inboxPollTimer = null;
+let inboxSearchTimer = null;
+
+// Normaliza conversa para { id, name, phone, lastMessage, lastAt, unread, agentPaused }
+function normalizeConversation(raw) {
+  return {
+    id: String(raw.id ?? raw.conversation_id),
+    name: raw.contact_name || raw.name || raw.push_name || '',
+    phone: String(raw.phone || raw.contact_phone || raw.remote_jid || '').replace(/@.*$/, ''),
+    lastMessage: raw.last_message || raw.lastMessage || '',
+    lastAt: raw.last_message_at || raw.updated_at || raw.date || null,
+    unread: Number(raw.unread ?? raw.unread_count ?? 0) || 0,
+    agentPaused: !!(raw.agent_paused ?? raw.human_takeover ?? false)
+  };
+}
+
+// Normaliza mensagem para { id, text, fromMe, sender, at, mediaUrl, type }
+function normalizeInboxMessage(raw) {
+  const fromMe = !!(raw.from_me ?? raw.fromMe ?? (raw.direction ? raw.direction === 'out' || raw.direction === 'outbound' : false));
+  return {
+    id: String(raw.id ?? raw.message_id ?? `${Date.now()}-${Math.random()}`),
+    text: raw.text || raw.body || raw.caption || '',
+    fromMe,
+    // Quem escreveu a mensagem enviada: o agente de IA ou um humano da equipe
+    sender: raw.sender || (fromMe ? 'agent' : 'contact'),
+    at: raw.created_at || raw.timestamp || raw.at || new Date().toISOString(),
+    mediaUrl: raw.media_url || raw.url || '',
+    type: raw.type || 'text'
+  };
+}
+
+function getInboxConversation(id = inboxCurrentId) {
+  return inboxConversations.find(c => c.id === String(id)) || null;
+}
+
+function formatInboxTime(at) {
+  if (!at) return '';
+  const d = new Date(at);
+  return d.toDateString() === new Date().toDateString()
+    ? d.toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })
+    : d.toLocaleDateString('pt-BR');
+}
+
+async function loadInboxConversations() {
+  const params = new URLSearchParams({ limit: String(INBOX_PAGE_SIZE) });
+  const search = document.getElementById('inbox-search')?.value.trim();
+  const filter = document.getElementById('inbox-filter')?.value;
+  if (search) params.set('search', search);
+  if (filter) params.set('status', filter);
+  try {
+    const data = await api.get(`/conversations?${params}`);
+    const current = getInboxConversation();
+    inboxConversations = (Array.isArray(data) ? data : (data.items || data.conversations || [])).map(normalizeConversation);
+    // A conversa aberta continua na lista mesmo fora do filtro
+    if (current && !getInboxConversation()) inboxConversations.unshift(current);
+  } catch (err) {
+    console.error(err);
+    showNotification('Não foi possível carregar as conversas.', 'danger');
+  }
+  renderInboxList();
+}
+
+function renderInboxList() {
+  const list = document.getElementById('inbox-list');
+  if (!list) return;
+  if (!inboxConversations.length) {
+    list.innerHTML = '<li class="list-group-item text-center text-muted py-4">Nenhuma conversa encontrada</li>';
+    return;
+  }
+  list.innerHTML = inboxConversations.map(c => `
+    <li class="list-group-item inbox-item ${c.id === inboxCurrentId ? 'active' : ''}" data-conversation-id="${escapeHtml(c.id)}">
+      <div class="d-flex justify-content-between align-items-center">
+        <strong class="text-truncate">${escapeHtml(c.name || phone.format(c.phone))}</strong>
+        <small class="text-muted text-nowrap ml-2">${escapeHtml(formatInboxTime(c.lastAt))}</small>
+      </div>
+      <div class="d-flex justify-content-between align-items-center">
+        <small class="text-muted text-truncate">${escapeHtml(c.lastMessage)}</small>
+        <span class="text-nowrap ml-2">
+          ${c.agentPaused ? '<span class="badge badge-warning" title="Agente pausado">Humano</span>' : ''}
+          ${c.unread ? `<span class="badge badge-success">${c.unread}</span>` : ''}
+        </span>
+      </div>
+    </li>`).join('');
+}
+
+// Abre a conversa: carrega as últimas mensagens e marca como lida
+async function openInboxConversation(id) {
+  inboxCurrentId = String(id);
+  inboxMessages = [];
+  inboxHasOlder = false;
+  const conv = getInboxConversation();
+  if (conv) conv.unread = 0;
+  renderInboxList();
+  renderInboxHeader();
+  renderInboxThread();
+  await loadInboxMessages();
+  try { await api.post(`/conversations/${encodeURIComponent(inboxCurrentId)}/read`, {}); } catch (_) {}
+}
+
+async function loadInboxMessages(older = false) {
+  if (!inboxCurrentId) return;
+  const id = inboxCurrentId;
+  const params = new URLSearchParams({ limit: String(INBOX_PAGE_SIZE) });
+  if (older && inboxMessages.length) params.set('before', inboxMessages[0].id);
+  try {
+    const data = await api.get(`/conversations/${encodeURIComponent(id)}/messages?${params}`);
+    if (id !== inboxCurrentId) return;
+    const items = (Array.isArray(data) ? data : (data.items || data.messages || []))
+      .map(normalizeInboxMessage)
+      .sort((a, b) => new Date(a.at) - new Date(b.at));
+    inboxMessages = older ? items.concat(inboxMessages) : items;
+    inboxHasOlder = items.length === INBOX_PAGE_SIZE;
+  } catch (err) {
+    console.error(err);
+    showNotification('Não foi possível carregar as mensagens.', 'danger');
+  }
+  renderInboxThread(!older);
+}
+
+function renderInboxHeader() {
+  const conv = getInboxConversation();
+  const nameEl = document.getElementById('inbox-contact-name');
+  const phoneEl = document.getElementById('inbox-contact-phone');
+  const toggleWrap = document.getElementById('inbox-agent-toggle-wrap');
+  const toggle = document.getElementById('inbox-agent-paused');
+  const reply = document.getElementById('inbox-reply-area');
+  const hint = document.getElementById('inbox-agent-hint');
+  if (nameEl) nameEl.textContent = conv ? (conv.name || phone.format(conv.phone)) : 'Selecione uma conversa';
+  if (phoneEl) phoneEl.textContent = conv && conv.name ? phone.format(conv.phone) : '';
+  if (toggleWrap) toggleWrap.style.display = conv ? '' : 'none';
+  if (toggle) toggle.checked = !!(conv && conv.agentPaused);
+  if (reply) reply.style.display = conv ? '' : 'none';
+  if (hint) {
+    hint.textContent = conv && !conv.agentPaused
+      ? 'O agente de IA continua respondendo. Pause o agente para assumir a conversa.'
+      : 'Você está no controle desta conversa. Desmarque "Pausar agente" para devolvê-la ao bot.';
+  }
+}
+
+// Mídia recebida vira link só com http(s):, blob: ou caminho do backend;
+// qualquer outro esquema (javascript:, data: etc.) fica como texto
+function safeMediaUrl(raw) {
+  const url = String(raw || '').trim();
+  if (/^(https?:|blob:)/i.test(url)) return url;
+  if (url.startsWith('/') && !url.startsWith('//')) return `${BACKEND_BASE}${url}`;
+  return null;
+}
+
+function inboxAttachmentHtml(raw) {
+  const url = safeMediaUrl(raw);
+  return url
+    ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener"><i class="fas fa-paperclip mr-1"></i>Anexo</a>`
+    : `<small class="d-block text-muted"><i class="fas fa-paperclip mr-1"></i>${escapeHtml(raw)}</small>`;
+}
+
+function renderInboxThread(scrollToEnd = true) {
+  const thread = document.getElementById('inbox-thread');
+  if (!thread) return;
+  if (!inboxCurrentId) {
+    thread.innerHTML = '<div class="text-center text-muted py-5">Nenhuma conversa aberta</div>';
+    return;
+  }
+  const older = inboxHasOlder
+    ? '<div class="text-center mb-2"><button type="button" class="btn btn-sm btn-outline-secondary" data-inbox-older>Carregar anteriores</button></div>'
+    : '';
+  thread.innerHTML = older + (inboxMessages.length ? inboxMessages.map(m => {
+    const author = m.fromMe ? (m.sender === 'agent' ? 'Agente IA' : 'Equipe') : '';
+    const media = m.mediaUrl
+      ? (m.type === 'image' && safeMediaUrl(m.mediaUrl)
+        ? `<img src="${escapeHtml(safeMediaUrl(m.mediaUrl))}" alt="Imagem recebida">`
+        : inboxAttachmentHtml(m.mediaUrl))
+      : '';
+    return `
+      <div class="inbox-msg ${m.fromMe ? 'inbox-msg-out' : 'inbox-msg-in'}">
+        <div class="wa-bubble">
+          ${author ? `<small class="d-block inbox-msg-author">${author}</small>` : ''}
+          ${media}
+          ${m.text ? `<div class="wa-bubble-text">${escapeHtml(m.text)}</div>` : ''}
+          <small class="d-block text-right inbox-msg-time">${escapeHtml(formatInboxTime(m.at))}</small>
+        </div>
+      </div>`;
+  }).join('') : '<div class="text-center text-muted py-5">Sem mensagens</div>');
+  if (scrollToEnd) thread.scrollTop = thread.scrollHeight;
+}
+
+// Pausa/retoma o agente de IA nesta conversa (transferência para humano)
+async function setInboxAgentPaused(paused) {
+  const conv = getInboxConversation();
+  if (!conv) return;
+  try {
+    await api.patch(`/conversations/${encodeURIComponent(conv.id)}`, { agent_paused: paused });
+    conv.agentPaused = paused;
+    showNotification(paused ? 'Agente pausado: a conversa está com você.' : 'Conversa devolvida ao agente de IA.', 'success');
+  } catch (err) {
+    console.error(err);
+    showNotification('Não foi possível alterar o agente: ' + apiErrorText(err), 'danger');
+  }
+  renderInboxHeader();
+  renderInboxList();
+}
+
+// Responde pela instância WhatsApp atual
+async function sendInboxReply() {
+  const conv = getInboxConversation();
+  const input = document.getElementById('inbox-reply');
+  const text = input ? input.value.trim() : '';
+  if (!conv || !text) return;
+  if (!waCurrentInstance || !waCurrentToken) {
+    showNotification('Nenhuma instância WhatsApp conectada para responder.', 'warning');
+    return;
+  }
+  const btn = document.getElementById('inbox-send-btn');
+  if (btn) btn.disabled = true;
+  try {
+    const data = await api.post(`/wa/instances/${encodeURIComponent(waCurrentInstance)}/send/text`, {
+      token: waCurrentToken,
+      to: phone.normalize(conv.phone) || conv.phone,
+      text,
+      conversation_id: conv.id
+    });
+    input.value = '';
+    appendInboxMessage(conv.id, normalizeInboxMessage({
+      id: data && (data.message_id || data.id),
+      text,
+      from_me: true,
+      sender: 'human'
+    }));
+  } catch (err) {
+    if (isWhatsAppDisconnected(err)) {
+      showNotification('WhatsApp desconectado. Reconecte a instância para responder.', 'warning');
+      try { await updateWhatsAppStatus(); } catch (_) {}
+    } else {
+      console.error(err);
+      showNotification('Falha ao enviar: ' + apiErrorText(err), 'danger');
+    }
+  } finally {
+    if (btn) btn.disabled = false;
+  }
+}
+
+// Insere uma mensagem nova (stream ou envio) na lista e, se aberta, na conversa
+function appendInboxMessage(conversationId, msg) {
+  const id = String(conversationId);
+  const conv = getInboxConversation(id);
+  if (!conv) {
+    loadInboxConversations();
+    return;
+  }
+  conv.lastMessage = msg.text || (msg.mediaUrl ? 'Anexo' : conv.lastMessage);
+  conv.lastAt = msg.at;
+  if (id === inboxCurrentId) {
+    if (!inboxMessages.some(m => m.id === msg.id)) {
+      inboxMessages.push(msg);
+      renderInboxThread();
+    }
+  } else if (!msg.fromMe) {
+    conv.unread += 1;
+  }
+  // Conversa com atividade sobe para o topo
+  inboxConversations = [conv].concat(inboxConversations.filter(c => c !== conv));
+  renderInboxList();
+}
+
+// Evento de mensagem vindo do stream da instância (SSE/WebSocket)
+function handleInboxStreamMessage(data) {
+  const items = Array.isArray(data) ? data : [data];
+  items.forEach(raw => {
+    if (!raw || typeof raw !== 'object') return;
+    const conversationId = raw.conversation_id ?? raw.conversationId;
+    if (conversationId === undefined || conversationId === null) return;
+    if (raw.agent_paused !== undefined) {
+      const conv = getInboxConversation(conversationId);
+      if (conv) conv.agentPaused = !!raw.agent_paused;
+      if (String(conversationId) === inboxCurrentId) renderInboxHeader();
+    }
+    if (raw.text !== undefined || raw.body !== undefined || raw.media_url) {
+      appendInboxMessage(conversationId, normalizeInboxMessage(raw.message || raw));
+    } else {
+      renderInboxList();
+    }
+  });
+}
+
+// A caixa de entrada lista conversas de todas as instâncias, mas o stream só
+// cobre a instância atual: o polling segue ativo enquanto a seção está visível
+function startInboxPolling() {
+  stopInboxPolling();
+  inboxPollTimer = setInterval(() => {
+    const section = document.getElementById('inbox');
+    if (!section || section.style.display === 'none') {
+      stopInboxPolling();
+      return;
+    }
+    if (document.hidden) return;
+    loadInboxConversations();
+    if (inboxCurrentId) loadInboxMessages();
+  }, INBOX_POLL_MS);
+}
+
+function stopInboxPolling() {
+  if (inboxPollTimer) {
+    clearInterval(inboxPollTimer);
+    inboxPollTimer = null;
+  }
+}
+
+/* =========================================================
+   ORGANIZAÇÕES (agências com várias empresas)
+   ========================================================= */
+
+// Preenche o seletor do navbar; só aparece com 2+ organizações
+async function renderOrgSwitcher() {
+  const select = document.getElementById('org-switcher');
+  const item = document.getElementById('org-switcher-item');
+  if (!select || !window.HelsenAuth || !window.HelsenAuth.getOrganizations) return;
+  let orgs = window.HelsenAuth.getOrganizations();
+  if (!orgs.length) orgs = await window.HelsenAuth.fetchOrganizations();
+  const current = localStorage.getItem('org_id');
+  select.innerHTML = orgs.map(o =>
+    `<option value="${escapeHtml(o.id)}" ${String(o.id) === current ? 'selected' : ''}>${escapeHtml(o.name)}</option>`
+  ).join('');
+  if (item) item.style.setProperty('display', orgs.length > 1 ? 'flex' : 'none', 'important');
+}
+
+// Guarda a instância WhatsApp de cada organização para restaurar na volta
+function stashWhatsAppInstanceForOrg(orgId) {
+  if (!orgId) return;
+  try {
+    const map = JSON.parse(localStorage.getItem('wa_instances_by_org') || '{}');
+    if (waCurrentInstance && waCurrentToken) map[orgId] = { instance: waCurrentInstance, token: waCurrentToken };
+    else delete map[orgId];
+    localStorage.setItem('wa_instances_by_org', JSON.stringify(map));
+  } catch (_) {}
+}
+function loadWhatsAppInstanceForOrg(orgId) {
+  try {
+    const map = JSON.parse(localStorage.getItem('wa_instances_by_org') || '{}');
+    const saved = map[orgId];
+    if (saved && saved.instance && saved.token) {
+      localStorage.setItem('wa_instance', saved.instance);
+      localStorage.setItem('wa_token', saved.token);
+    } else {
+      localStorage.removeItem('wa_instance');
+      localStorage.removeItem('wa_token');
+    }
+  } catch (_) {}
+}
+
+// Limpa o estado WhatsApp da tela antes de carregar a instância de outra org
+function resetWhatsAppPanel() {
+  stopWhatsAppUpdates();
+  waCurrentInstance = null;
+  waCurrentToken = null;
+  const infoDiv = document.getElementById('wa-instance-info');
+  if (infoDiv) infoDiv.style.display = 'none';
+  ['wa-instance-id', 'wa-instance-token', 'wa-webhook-url'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.value = '';
+  });
+  const statusEl = document.getElementById('wa-status');
+  if (statusEl) statusEl.textContent = 'Desconhecido';
+  renderQr(null);
+  renderPairingCode(null);
+  waDeliveries = [];
+  waDeliveriesHasMore = false;
+  renderWebhookDeliveries();
+}
+
+// Troca a organização ativa e recarrega tudo o que depende dela
+async function switchOrganization(orgId) {
+  const previous = localStorage.getItem('org_id');
+  if (!orgId || String(orgId) === previous) return;
+  stashWhatsAppInstanceForOrg(previous);
+  pauseWhatsAppCampaign('Campanha pausada ao trocar de organização.');
+  try {
+    window.HelsenAuth.switchOrg(orgId);
+  } catch (err) {
+    console.error(err);
+    showNotification(err.message || 'Não foi possível trocar de organização.', 'danger');
+    return;
+  }
+  resetWhatsAppPanel();
+  waInstances = [];
+  waLeadOptions = [];
+  funnelInstance = '';
+  loadWhatsAppInstanceForOrg(String(orgId));
+  restoreWhatsAppInstance();
+  loadWhatsAppInstances();
+  restoreWhatsAppCampaign();
+
+  try { document.getElementById('agent-config-form')?.reset(); } catch (_) {}
+  try { document.getElementById('company-form')?.reset(); } catch (_) {}
+  companyLogoUrl = '';
+  renderCompanyLogo();
+  if (window.chatbot) {
+    window.chatbot.history = [];
+    window.chatbot.sessionId = window.chatbot.generateSessionId();
+  }
+
+  inboxConversations = [];
+  inboxCurrentId = null;
+  inboxMessages = [];
+  renderInboxList();
+  renderInboxHeader();
+  renderInboxThread();
+  if (document.getElementById('inbox')?.style.display === 'block') loadInboxConversations();
+
+  products = [];
+  selectedProductIds.clear();
+  productQuery = defaultProductQuery();
+  renderProductToolbar();
+  syncProductQueryToUrl();
+  updateProductTable();
+  waProductOptions = [];
+  renderWhatsAppProductOptions();
+  productCategories = [];
+  await Promise.all([
+    fetchProducts(),
+    loadProductCategories(),
+    loadAnalytics(),
+    loadCompany(),
+    loadAgentConfigFromBackend()
+  ].map(p => Promise.resolve(p).catch(err => console.error(err))));
+
+  const org = window.HelsenAuth.getOrganizations().find(o => String(o.id) === String(orgId));
+  showNotification(`Organização ativa: ${escapeHtml(org ? org.name : orgId)}`, 'info');
+}
+
+/* =========================================================
+   SEGURANÇA (autenticação em dois fatores)
+   ========================================================= */
+
+// Mostra ativação ou desativação conforme o estado salvo no login
+function renderMfaState() {
+  const enabled = localStorage.getItem('mfa_enabled') === '1';
+  const statusEl = document.getElementById('mfa-status');
+  if (statusEl) {
+    statusEl.textContent = enabled ? 'Ativada' : 'Desativada';
+    statusEl.className = `badge ${enabled ? 'badge-success' : 'badge-secondary'}`;
+  }
+  const enableArea = document.getElementById('mfa-enable-area');
+  const disableArea = document.getElementById('mfa-disable-area');
+  if (enableArea) enableArea.style.display = enabled ? 'none' : 'block';
+  if (disableArea) disableArea.style.display = enabled ? 'block' : 'none';
+}
+
+// Pede um novo segredo ao backend e desenha o QR otpauth://
+async function startMfaEnrollment() {
+  if (!window.HelsenAuth || !window.HelsenAuth.mfaEnroll) return;
+  try {
+    const { secret, otpauthUrl } = await window.HelsenAuth.mfaEnroll();
+    const step = document.getElementById('mfa-enroll-step');
+    if (step) step.style.display = 'block';
+    const secretEl = document.getElementById('mfa-secret');
+    if (secretEl) secretEl.textContent = secret;
+    drawQrInto(document.getElementById('mfa-qr'), otpauthUrl);
+  } catch (err) {
+    console.error(err);
+    showNotification(err.message || 'Não foi possível iniciar a ativação.', 'danger');
+  }
+}
+
+async function confirmMfaEnrollment() {
+  const code = (document.getElementById('mfa-enroll-code')?.value || '').replace(/\D/g, '');
+  if (code.length !== 6) { showNotification('Informe o código de 6 dígitos.', 'warning'); return; }
+  try {
+    await window.HelsenAuth.mfaVerify({ code });
+    const step = document.getElementById('mfa-enroll-step');
+    if (step) step.style.display = 'none';
+    const qr = document.getElementById('mfa-qr');
+    if (qr) qr.innerHTML = '';
+    renderMfaState();
+    showNotification('Autenticação em dois fatores ativada!', 'success');
+  } catch (err) {
+    console.error(err);
+    showNotification(err.message || 'Código inválido.', 'danger');
+  }
+}
+
+async function disableMfa() {
+  const code = (document.getElementById('mfa-disable-code')?.value || '').replace(/\D/g, '');
+  if (code.length !== 6) { showNotification('Informe o código de 6 dígitos.', 'warning'); return; }
+  if (!confirm('Desativar a autenticação em dois fatores?')) return;
+  try {
+    await window.HelsenAuth.mfaDisable({ code });
+    const input = document.getElementById('mfa-disable-code');
+    if (input) input.value = '';
+    renderMfaState();
+    showNotification('Autenticação em dois fatores desativada.', 'info');
+  } catch (err) {
+    console.error(err);
+    showNotification(err.message || 'Não foi possível desativar.', 'danger');
+  }
+}
+
+/* =========================================================
+   Funções de integração com o backend (produtos/analytics etc.)
+   ========================================================= */
+
+// URL exibível de uma imagem vinda da API (absoluta, caminho do backend ou base64)
+function resolveProductImage(raw) {
+  if (!raw) return null;
+  const lower = String(raw).toLowerCase();
+  if (lower.startsWith('http') || lower.startsWith('data:') || lower.startsWith('blob:')) return raw;
+  if (lower.startsWith('/')) return `${BACKEND_BASE}${raw}`;
+  return `data:image/png;base64,${raw}`;
+}
+
+// Galeria da API: lista de URLs ou de objetos {url, position, is_cover}
+function productImagesFromApi(p) {
+  const list = (Array.isArray(p.images) ? p.images : [])
+    .map((img, i) => (typeof img === 'string'
+      ? { url: img, position: i, cover: false }
+      : { url: img.url || img.image_url, position: img.position ?? i, cover: !!img.is_cover }))
+    .filter(img => img.url)
+    .sort((a, b) => a.position - b.position);
+  const fallback = p.image_url || p.image_base64;
+  const cover = (list.find(img => img.cover) || {}).url || fallback || (list[0] || {}).url || '';
+  const urls = list.map(img => img.url);
+  if (!urls.length && fallback) urls.push(fallback);
+  return { urls, cover };
+}
+
+// Payload da galeria: ordem de exibição e qual imagem é a capa
+function productImagesPayload(urls, cover) {
+  const coverUrl = urls.includes(cover) ? cover : (urls[0] || '');
+  return urls.map((url, position) => ({ url, position, is_cover: url === coverUrl }));
+}
+
+// Converte um produto da API para o formato usado na tela
+function mapProductFromApi(p) {
+  const price = p.price_cents ? (p.price_cents / 100) : 0;
+  const { urls, cover: raw } = productImagesFromApi(p);
+  return {
+    id: p.id,
+    name: p.title,
+    // Produtos antigos guardavam a descrição no slug (antes do campo description)
+    description: 'description' in p ? (p.description || '') : (p.slug || ''),
+    slug: 'description' in p ? (p.slug || '') : '',
+    category: p.category || 'Sem categoria',
+    price,
+    priceCents: p.price_cents || 0,
+    stock: p.stock || 0,
+    variants: (p.variants || []).map(normalizeVariant),
+    lowStockThreshold: p.low_stock_threshold ?? DEFAULT_LOW_STOCK_THRESHOLD,
+    status: p.status || 'active',
+    imageRaw: raw || '',
+    image: resolveProductImage(raw),
+    imagesRaw: urls,
+    images: urls.map(resolveProductImage)
+  };
+}
+
+// Carrega a página atual da lista (busca, filtros e ordenação no servidor)
+async function fetchProducts() {
+  const seq = ++productLoadSeq;
+  try {
+    const data = await api.get(`/products?${productQueryParams()}`);
+    if (seq !== productLoadSeq) return; // outra busca/filtro/página começou depois
+    const items = Array.isArray(data) ? data : (data.items || []);
+    products = items.map(mapProductFromApi);
+    productTotal = Number(data.total ?? data.count) || products.length;
+    // Página além do fim (ex.: após excluir o último item dela): volta para a última
+    const lastPage = Math.max(1, Math.ceil(productTotal / productQuery.pageSize));
+    if (!products.length && productQuery.page > lastPage) {
+      productQuery.page = lastPage;
+      syncProductQueryToUrl();
+      return fetchProducts();
+    }
+  } catch (err) {
+    console.error(err);
+    if (seq !== productLoadSeq) return;
+  }
+  updateProductTable();
+  renderProductPagination();
+  fetchLowStockProducts();
+}
+
+// Catálogo inteiro, até o total informado pela API (exportação, importação, seletores)
+async function fetchAllProducts(filters = {}) {
+  const params = Object.fromEntries(Object.entries(filters).filter(([, v]) => v));
+  const items = await fetchAllPages('/products', params);
+  return items.map(mapProductFromApi);
+}
+
+// Alerta de estoque baixo vale para o catálogo todo, não só a página aberta
+async function fetchLowStockProducts() {
+  try {
+    const data = await api.get('/products?low_stock=1&page_size=50');
+    renderLowStockAlert((Array.isArray(data) ? data : (data.items || [])).map(mapProductFromApi));
+  } catch (err) {
+    console.error(err);
+    renderLowStockAlert(products);
+  }
+}
+
+async function createProductOnBackend(product) {
+  try {
+    const images = product.images || (product.imageUrl ? [product.imageUrl] : []);
+    const payload = {
+      org_id: Number(api.orgId()),
+      flow_id: Number(api.flowId()),
+      title: product.name,
+      slug: product.slug || slugify(product.name),
+      description: product.description || '',
+      status: product.status || 'active',
+      image_url: product.imageUrl || images[0] || '',
+      images: productImagesPayload(images, product.imageUrl),
+      price_cents: product.priceCents || 0,
+      stock: product.stock || 0,
+      low_stock_threshold: product.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD,
+      variants: (product.variants || []).map(variantPayload),
+      category: product.category || ''
+    };
+    return await api.post('/products', payload);
+  } catch (err) {
+    console.error(err);
+    if (err.status === 409) throw err; // SKU em uso: quem chamou avisa o motivo
+    return null;
+  }
+}
+
+async function deleteProductOnBackend(id) {
+  try {
+    await api.del(`/products/${id}`);
+    return true;
+  } catch (err) {
+    console.error(err);
+    return false;
+  }
+}
+
+// ==== PERÍODO DA ANÁLISE ====
+const ANALYTICS_PRESETS = {
+  today: 'Hoje',
+  '7d': 'Últimos 7 dias',
+  '30d': 'Últimos 30 dias',
+  month: 'Mês atual',
+  custom: 'Personalizado'
+};
+// Parâmetros da URL (ex.: /analise?periodo=7d ou ?periodo=custom&de=2026-01-01&ate=2026-01-31)
+const ANALYTICS_URL_PARAMS = { preset: 'periodo', from: 'de', to: 'ate' };
+let analyticsRange = readAnalyticsRangeFromUrl();
+let analyticsLoadSeq = 0;
+// Últimos dados carregados (reaproveitados por outros painéis da análise)
+let analyticsSnapshot = { summary: null, previous: null, topProducts: [], series: [], funnel: [] };
+
+// Data local em YYYY-MM-DD (toISOString converteria para UTC)
+function toDateInputValue(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function parseDateInputValue(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!m) return null;
+  const date = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function defaultAnalyticsRange() {
+  return { preset: '30d', from: '', to: '' };
+}
+
+// Estado inicial vindo do link (/analise?...); fora dessa rota, o padrão
+function readAnalyticsRangeFromUrl() {
+  const range = defaultAnalyticsRange();
+  if (!/^\/analise\/?$/i.test(location.pathname || '')) return range;
+  const params = new URLSearchParams(location.search);
+  const preset = params.get(ANALYTICS_URL_PARAMS.preset) || '';
+  if (!ANALYTICS_PRESETS[preset]) return range;
+  if (preset === 'custom') {
+    const from = parseDateInputValue(params.get(ANALYTICS_URL_PARAMS.from));
+    const to = parseDateInputValue(params.get(ANALYTICS_URL_PARAMS.to));
+    if (!from || !to || from > to) return range;
+    return { preset, from: toDateInputValue(from), to: toDateInputValue(to) };
+  }
+  return { preset, from: '', to: '' };
+}
+
+// Datas efetivas do período: { from, to } (início e fim do dia, hora local)
+function resolveAnalyticsRange(range = analyticsRange) {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const daysAgo = (n) => { const d = new Date(today); d.setDate(d.getDate() - n); return d; };
+  let from = today;
+  let to = today;
+  if (range.preset === '7d') from = daysAgo(6);
+  else if (range.preset === '30d') from = daysAgo(29);
+  else if (range.preset === 'month') from = new Date(today.getFullYear(), today.getMonth(), 1);
+  else if (range.preset === 'custom') {
+    from = parseDateInputValue(range.from) || today;
+    to = parseDateInputValue(range.to) || today;
+  }
+  const end = new Date(to);
+  end.setHours(23, 59, 59, 999);
+  return { from, to: end };
+}
+
+// Período anterior com a mesma duração, terminando logo antes do atual
+function previousAnalyticsRange(period) {
+  const length = period.to.getTime() - period.from.getTime();
+  const to = new Date(period.from.getTime() - 1);
+  return { from: new Date(to.getTime() - length), to };
+}
+
+// Fuso do navegador: o backend agrupa hora/dia/semana/mês no horário do usuário
+function userTimeZone() {
+  try { return Intl.DateTimeFormat().resolvedOptions().timeZone || 'America/Sao_Paulo'; } catch (_) { return 'America/Sao_Paulo'; }
+}
+
+// Parâmetros from/to (e fuso) das rotas de analytics
+function analyticsParams(period, extra = {}) {
+  const params = new URLSearchParams({ from: period.from.toISOString(), to: period.to.toISOString(), tz: userTimeZone() });
+  Object.entries(extra).forEach(([k, v]) => { if (v !== '' && v !== null && v !== undefined) params.set(k, String(v)); });
+  return params;
+}
+
+function analyticsRangeLabel(range = analyticsRange) {
+  if (range.preset !== 'custom') return ANALYTICS_PRESETS[range.preset];
+  const { from, to } = resolveAnalyticsRange(range);
+  const fmt = (d) => d.toLocaleDateString('pt-BR');
+  return from.toDateString() === to.toDateString() ? fmt(from) : `${fmt(from)} a ${fmt(to)}`;
+}
+
+// Parâmetros da URL do painel (só o que difere do padrão)
+function analyticsUrlSearch() {
+  if (analyticsRange.preset === defaultAnalyticsRange().preset) return '';
+  const params = new URLSearchParams({ [ANALYTICS_URL_PARAMS.preset]: analyticsRange.preset });
+  if (analyticsRange.preset === 'custom') {
+    params.set(ANALYTICS_URL_PARAMS.from, analyticsRange.from);
+    params.set(ANALYTICS_URL_PARAMS.to, analyticsRange.to);
+  }
+  return `?${params}`;
+}
+
+function syncAnalyticsRangeToUrl() {
+  if (!/^\/analise\/?$/i.test(location.pathname || '')) return;
+  try { history.replaceState(null, '', `/analise${analyticsUrlSearch()}`); } catch (_) {}
+}
+
+// Preenche o seletor a partir do estado (link aberto ou troca de período)
+function renderAnalyticsRangePicker() {
+  document.querySelectorAll('[data-analytics-preset]').forEach(btn => {
+    const active = btn.dataset.analyticsPreset === analyticsRange.preset;
+    btn.classList.toggle('active', active);
+    btn.setAttribute('aria-pressed', active ? 'true' : 'false');
+  });
+  const custom = document.getElementById('analytics-custom-range');
+  if (custom) custom.style.display = analyticsRange.preset === 'custom' ? 'flex' : 'none';
+  const { from, to } = resolveAnalyticsRange();
+  const fromInput = document.getElementById('analytics-from');
+  const toInput = document.getElementById('analytics-to');
+  if (fromInput) fromInput.value = toDateInputValue(from);
+  if (toInput) toInput.value = toDateInputValue(to);
+  const label = analyticsRangeLabel();
+  const title = document.getElementById('performance-chart-title');
+  if (title) title.textContent = `Performance — ${label}`;
+}
+
+function setAnalyticsRange(range) {
+  analyticsRange = range;
+  syncAnalyticsRangeToUrl();
+  renderAnalyticsRangePicker();
+  loadAnalytics();
+}
+
+function selectAnalyticsPreset(preset) {
+  if (!ANALYTICS_PRESETS[preset]) return;
+  if (preset !== 'custom') { setAnalyticsRange({ preset, from: '', to: '' }); return; }
+  // Personalizado começa com as datas do período que estava aberto
+  const { from, to } = resolveAnalyticsRange();
+  setAnalyticsRange({ preset, from: toDateInputValue(from), to: toDateInputValue(to) });
+}
+
+function applyAnalyticsCustomRange() {
+  const from = document.getElementById('analytics-from')?.value;
+  const to = document.getElementById('analytics-to')?.value;
+  const fromDate = parseDateInputValue(from);
+  const toDate = parseDateInputValue(to);
+  if (!fromDate || !toDate) { showNotification('Informe as duas datas do período.', 'warning'); return; }
+  if (fromDate > toDate) { showNotification('A data inicial deve ser anterior à final.', 'warning'); return; }
+  setAnalyticsRange({ preset: 'custom', from, to });
+}
+
+// Variação entre dois períodos (null quando não há base de comparação)
+function metricChange(current, previous, { points = false } = {}) {
+  const cur = Number(current) || 0;
+  const prev = Number(previous);
+  if (previous === null || previous === undefined || Number.isNaN(prev)) return null;
+  if (!points && prev === 0) return { diff: 0, prev, text: cur > 0 ? 'novo no período' : 'sem variação' };
+  const diff = points ? cur - prev : ((cur - prev) / prev) * 100;
+  if (Math.abs(diff) < 0.05) return { diff: 0, prev, text: 'sem variação' };
+  const text = `${Math.abs(diff).toLocaleString('pt-BR', { maximumFractionDigits: 1 })}${points ? ' p.p.' : '%'}`;
+  return { diff, prev, text };
+}
+
+// Variação contra o período anterior; taxa de conversão em pontos percentuais
+function renderMetricDelta(id, current, previous, { points = false } = {}) {
+  const el = document.getElementById(id);
+  if (!el) return;
+  const change = metricChange(current, previous, { points });
+  el.classList.remove('is-up', 'is-down');
+  if (!change) {
+    el.textContent = '';
+    return;
+  }
+  if (!change.diff) el.textContent = change.text;
+  else {
+    el.classList.add(change.diff > 0 ? 'is-up' : 'is-down');
+    el.innerHTML = `<i class="fas fa-arrow-${change.diff > 0 ? 'up' : 'down'}"></i> ${change.text}`;
+  }
+  el.title = `Período anterior: ${points ? change.prev.toFixed(1) + '%' : change.prev.toLocaleString('pt-BR')}`;
+}
+
+async function fetchAnalyticsSummary(period = resolveAnalyticsRange()) {
+  try {
+    return await api.get(`/analytics/summary?${analyticsParams(period)}`);
+  } catch (err) {
+    console.error(err);
+    return null;
+  }
+}
+
+async function fetchTopProducts(period = resolveAnalyticsRange()) {
+  try {
+    return await api.get(`/analytics/top-products?${analyticsParams(period)}`);
+  } catch (err) {
+    console.error(err);
+    return null;
+  }
+}
+
+async function loadAnalytics() {
+  const seq = ++analyticsLoadSeq;
+  const period = resolveAnalyticsRange();
+  const [summary, previous, top] = await Promise.all([
+    fetchAnalyticsSummary(period),
+    fetchAnalyticsSummary(previousAnalyticsRange(period)),
+    fetchTopProducts(period)
+  ]);
+  if (seq !== analyticsLoadSeq) return; // o período mudou durante a carga
+  const topProducts = top ? (Array.isArray(top) ? top : (top.items || [])) : [];
+  analyticsSnapshot = { summary, previous, topProducts, series: [], funnel: [] };
+  if (summary) {
+    const prev = previous || {};
+    const convEl = document.getElementById('conversations-count');
+    const leadsEl = document.getElementById('leads-count');
+    const salesEl = document.getElementById('sales-count');
+    const convRateEl = document.getElementById('conversion-rate');
+    if (convEl) convEl.textContent = summary.conversations;
+    if (leadsEl) leadsEl.textContent = summary.leads;
+    if (salesEl) salesEl.textContent = summary.sales;
+    if (convRateEl) convRateEl.textContent = (summary.conversion_rate || 0).toFixed(1) + '%';
+    renderMetricDelta('conversations-delta', summary.conversations, prev.conversations);
+    renderMetricDelta('leads-delta', summary.leads, prev.leads);
+    renderMetricDelta('sales-delta', summary.sales, prev.sales);
+    renderMetricDelta('conversion-rate-delta', summary.conversion_rate, prev.conversion_rate, { points: true });
+    const recoveredEl = document.getElementById('recovered-leads-value');
+    const timeEl = document.getElementById('best-time-range');
+    const topProductEl = document.getElementById('top-product-name');
+    if (recoveredEl) recoveredEl.textContent = summary.recovered_leads;
+    if (timeEl) timeEl.textContent = summary.best_time_range;
+    const topName = topProducts.length ? (topProducts[0].title || topProducts[0].name) : '';
+    if (topProductEl) topProductEl.textContent = topName || summary.top_product || '—';
+  }
+  await Promise.all([createPerformanceChart(), loadLeadFunnel()]);
+}
+
+async function uploadImage(file, onProgress) {
+  if (!file) return null;
+  const formData = new FormData();
+  formData.append('image', file);
+  // (AJUSTE) o cliente inclui a instância no upload se existir
+  const data = await api.upload('/upload', formData, { onProgress, timeout: 60000 });
+  return data.url;
+}
+
+// Documentos e áudios do envio no WhatsApp: upload genérico (campo "file"),
+// sem o tratamento de imagem do /upload
+async function uploadMedia(file, onProgress) {
+  if (!file) return null;
+  const formData = new FormData();
+  formData.append('file', file);
+  const data = await api.upload('/upload/media', formData, { onProgress, timeout: 120000 });
+  return data.url;
+}
+
+// ===== SEÇÕES =====
+// Seções liberadas pelo papel do usuário (HelsenAuth); sem auth.js, todas
+function canAccessSection(sectionId) {
+  const auth = window.HelsenAuth;
+  return !auth || !auth.canAccess || auth.canAccess(sectionId);
+}
+
+// Esconde do menu as seções não permitidas e sai de uma seção proibida
+function applySectionPermissions() {
+  document.querySelectorAll('.nav-sidebar .nav-link[onclick^="showSection"]').forEach(link => {
+    const m = /showSection\('([^']+)'\)/.exec(link.getAttribute('onclick') || '');
+    const item = link.closest('.nav-item') || link;
+    if (m) item.style.display = canAccessSection(m[1]) ? '' : 'none';
+  });
+  const visible = Array.from(document.querySelectorAll('.content-section'))
+    .find(sec => sec.style.display !== 'none');
+  if (!visible || !canAccessSection(visible.id)) {
+    const first = (window.HelsenAuth && window.HelsenAuth.allowedSections)
+      ? window.HelsenAuth.allowedSections()[0] : 'agent-config';
+    if (first) showSection(first);
+  }
+}
+
+// Papel carregado depois da guarda (/auth/me): refaz o menu com o acesso real
+window.addEventListener('helsen:role-changed', () => {
+  if (document.readyState !== 'loading') applySectionPermissions();
+});
+
+function showSection(sectionId) {
+  if (!canAccessSection(sectionId)) {
+    showNotification('Você não tem permissão para acessar esta área.', 'warning');
+    return;
+  }
+  const sections = document.querySelectorAll('.content-section');
+  sections.forEach(section => { section.style.display = 'none'; });
+  const targetSection = document.getElementById(sectionId);
+  if (targetSection) targetSection.style.display = 'block';
+  const navLinks = document.querySelectorAll('.nav-sidebar .nav-link');
+  navLinks.forEach(link => { link.classList.remove('active'); });
+  const activeLink = document.querySelector(`[onclick="showSection('${sectionId}')"]`);
+  if (activeLink) activeLink.classList.add('active');
+  if (sectionId === 'analysis') setTimeout(createPerformanceChart, 100);
+  if (sectionId === 'company') { try { loadCompany(); } catch (_) {} }
+  if (sectionId === 'security') { try { renderMfaState(); } catch (_) {} }
+  if (sectionId === 'inbox') {
+    try { loadInboxConversations(); } catch (_) {}
+    startInboxPolling();
+  }
+  if (sectionId === 'wa') {
+    try { loadWhatsAppInstances(); } catch (_) {}
+    try { loadWebhookDeliveries(); } catch (_) {}
+    try { loadWhatsAppTemplates(); } catch (_) {}
+    try { loadWhatsAppProductOptions(); } catch (_) {}
+  }
+
+  try {
+    const pathMap = {
+      'agent-config': '/agente',
+      'analysis': '/analise',
+      'inbox': '/conversas',
+      'products': '/produtos',
+      'payments': '/pagamentos',
+      'company': '/empresa',
+      'users': '/usuarios',
+      'wa': '/whatsapp',
+      'security': '/seguranca'
+    };
+    const newPath = pathMap[sectionId];
+    const search = sectionId === 'products' ? productUrlSearch()
+      : sectionId === 'analysis' ? analyticsUrlSearch() : '';
+    if (newPath && history.pushState) history.pushState(null, '', newPath + search);
+  } catch (_) {}
+}
+
+// Atualiza saudações com o nome do usuário + ações da Empresa
+document.addEventListener('DOMContentLoaded', () => {
+  try { applySectionPermissions(); } catch (_) {}
+
+  try {
+    const name = (localStorage.getItem('user_name') || '').toUpperCase();
+    document.querySelectorAll('.user-name').forEach(el => { el.textContent = name; });
+  } catch (_) {}
+
+  // Busca CNPJ
+  const cnpjButtons = document.querySelectorAll('.company-cnpj-search-btn');
+  const cnpjInput = document.getElementById('company-cnpj');
+  if (cnpjButtons.length && cnpjInput) {
+    cnpjButtons.forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const raw = cnpjInput.value || '';
+        const digits = raw.replace(/\D/g, '');
+        if (digits.length !== 14) { alert('CNPJ inválido. Digite um número com 14 dígitos.'); return; }
+        cnpjButtons.forEach(b => b.disabled = true);
+        const originalTexts = Array.from(cnpjButtons).map(b => b.textContent);
+        cnpjButtons.forEach((b, idx) => { if (!b.classList.contains('d-sm-none')) b.textContent = 'Buscando...'; });
+        try {
+          const res = await fetch(`https://brasilapi.com.br/api/cnpj/v1/${digits}`);
+          if (!res.ok) throw new Error('Falha na requisição');
+          const data = await res.json();
+          const setValue = (id, value) => { const el = document.getElementById(id); if (el) el.value = value || ''; };
+          setValue('company-razao', data.razao_social);
+          setValue('company-fantasia', data.nome_fantasia);
+          if (data.ddd_telefone_1) setValue('company-phone', phone.format(data.ddd_telefone_1));
+          setValue('company-email', data.email);
+          const endereco = [data.logradouro, data.complemento].filter(Boolean).join(' ');
+          setValue('company-endereco', endereco);
+          setValue('company-numero', data.numero);
+          setValue('company-bairro', data.bairro);
+          setValue('company-cidade', data.municipio);
+          setValue('company-cep', data.cep);
+          const ufSelect = document.getElementById('company-uf');
+          if (ufSelect && data.uf) ufSelect.value = data.uf;
+        } catch (err) {
+          console.error(err);
+          alert('Não foi possível buscar os dados do CNPJ.');
+        } finally {
+          cnpjButtons.forEach((b, idx) => {
+            b.disabled = false;
+            if (!b.classList.contains('d-sm-none')) b.textContent = originalTexts[idx] || 'Buscar CNPJ';
+          });
+        }
+      });
+    });
+  }
+
+  phone.attach(document.getElementById('company-phone'));
+
+  // Salvar empresa
+  const saveBtn = document.getElementById('company-save-btn');
+  if (saveBtn) {
+    saveBtn.addEventListener('click', async () => {
+      const getVal = (id) => { const el = document.getElementById(id); return el ? el.value.trim() : ''; };
+      const phoneRaw = getVal('company-phone');
+      const parsedPhone = phone.parse(phoneRaw);
+      if (phoneRaw && !parsedPhone.valid) {
+        alert(`Telefone de contato inválido: ${parsedPhone.error}`);
+        return;
+      }
+      const payload = {
+        name: null,
+        tax_id: getVal('company-cnpj').replace(/\D/g, '') || null,
+        razao_social: getVal('company-razao') || null,
+        nome_fantasia: getVal('company-fantasia') || null,
+        inscricao_estadual: getVal('company-insc') || null,
+        segmento: getVal('company-segment') || null,
+        telefone: parsedPhone.e164 || null,
         email: getVal('company-email') || null,
         bairro: getVal('company-bairro') || null,
         endereco: getVal('company-endereco') || null,
@@ -716,326 +2798,1539 @@ document.addEventListener('DOMContentLoaded', () => {
         uf: getVal('company-uf') || null,
         observacoes: getVal('company-observacoes') || null
       };
+      saveBtn.disabled = true;
       try {
-        const res = await fetch(`${BACKEND_BASE}/api/company`, {
-          method: 'PUT',
-          headers: defaultHeaders,
-          body: JSON.stringify(payload)
-        });
-        if (!res.ok) throw new Error('Falha ao salvar dados da empresa');
+        const logoInput = document.getElementById('company-logo');
+        const logoFile = logoInput && logoInput.files && logoInput.files[0];
+        if (logoFile) {
+          companyLogoUrl = await uploadImage(logoFile);
+          logoInput.value = '';
+          renderCompanyLogo();
+        }
+        payload.logo_url = companyLogoUrl || null;
+        await api.put('/company', payload);
         alert('Dados da empresa salvos com sucesso!');
       } catch (err) {
         console.error(err);
         alert('Não foi possível salvar os dados da empresa.');
+      } finally {
+        saveBtn.disabled = false;
       }
     });
   }
-});
+});
+
+// Função de logout
+function logout() {
+  try {
+    localStorage.removeItem('token');
+    localStorage.removeItem('token_exp');
+    localStorage.removeItem('refresh_token');
+    localStorage.removeItem('org_id');
+    localStorage.removeItem('flow_id');
+    localStorage.removeItem('user_name');
+    localStorage.removeItem('mfa_enabled');
+    // (AJUSTE) limpar dados da instância e headers associados
+    localStorage.removeItem('wa_instance');
+    localStorage.removeItem('wa_token');
+    localStorage.removeItem('wa_instances_by_org');
+    localStorage.removeItem('wa_campaigns_by_org');
+    localStorage.removeItem('orgs');
+  } catch (_) {}
+  window.location.href = 'login.html';
+}
+
+// ===== ABAS =====
+function nextTab() { if (currentTab < tabs.length - 1) { currentTab++; navigateToTab(tabs[currentTab]); } }
+function previousTab() { if (currentTab > 0) { currentTab--; navigateToTab(tabs[currentTab]); } }
+function navigateToTab(tabId) {
+  currentTab = tabs.indexOf(tabId);
+  document.querySelectorAll('.nav-tabs .nav-link').forEach(l => l.classList.remove('active'));
+  document.querySelectorAll('.tab-pane').forEach(p => p.classList.remove('show','active'));
+  const targetTab = document.getElementById(`${tabId}-tab`);
+  const targetPane = document.getElementById(tabId);
+  if (targetTab && targetPane) { targetTab.classList.add('active'); targetPane.classList.add('show','active'); }
+  updateNavigationButtons();
+}
+function updateNavigationButtons() {
+  const prevButtons = document.querySelectorAll('[onclick="previousTab()"]');
+  const nextButtons = document.querySelectorAll('[onclick="nextTab()"]');
+  prevButtons.forEach(btn => { btn.disabled = currentTab === 0; });
+  nextButtons.forEach(btn => { btn.style.display = currentTab === tabs.length - 1 ? 'none' : 'inline-flex'; });
+}
+
+// ===== COMPORTAMENTO =====
+function toggleWhatsAppConfig() {
+  const checkbox = document.getElementById('whatsapp-notification');
+  const config = document.getElementById('whatsapp-config');
+  if (checkbox && config) config.style.display = checkbox.checked ? 'block' : 'none';
+}
+function toggleSiteLinkConfig() {
+  const checkbox = document.getElementById('site-link');
+  const config = document.getElementById('site-link-config');
+  if (checkbox && config) config.style.display = checkbox.checked ? 'block' : 'none';
+}
+function toggleProductLinkConfig() {
+  const checkbox = document.getElementById('product-link');
+  const config = document.getElementById('product-link-config');
+  if (checkbox && config) config.style.display = checkbox.checked ? 'block' : 'none';
+}
+
+// Logo da empresa (usado no cabeçalho dos relatórios)
+let companyLogoUrl = '';
+
+function renderCompanyLogo() {
+  const img = document.getElementById('company-logo-preview');
+  if (!img) return;
+  const src = resolveProductImage(companyLogoUrl);
+  img.style.display = src ? '' : 'none';
+  if (src) img.src = src;
+  else img.removeAttribute('src');
+}
+
+// Carrega os dados da empresa
+async function loadCompany() {
+  try {
+    const data = await api.get('/company');
+    const setVal = (id, val) => { const el = document.getElementById(id); if (el) el.value = val || ''; };
+    setVal('company-razao', data.razao_social || data.name || '');
+    setVal('company-fantasia', data.nome_fantasia || '');
+    setVal('company-cnpj', data.tax_id || '');
+    setVal('company-insc', data.inscricao_estadual || '');
+    setVal('company-segment', data.segmento || '');
+    setVal('company-phone', phone.format(data.telefone || ''));
+    setVal('company-email', data.email || '');
+    setVal('company-bairro', data.bairro || '');
+    setVal('company-endereco', data.endereco || '');
+    setVal('company-numero', data.numero || '');
+    setVal('company-cep', data.cep || '');
+    setVal('company-cidade', data.cidade || '');
+    const ufSelect = document.getElementById('company-uf');
+    if (ufSelect && data.uf) ufSelect.value = data.uf;
+    setVal('company-observacoes', data.observacoes || '');
+    companyLogoUrl = data.logo_url || '';
+    renderCompanyLogo();
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+// ===== PERFIL =====
+function saveProfile() {
+  // (incremento) persiste o perfil (reutiliza saveAgentConfig localStorage)
+  try { saveAgentConfig(); } catch (_) {}
+  const modal = new bootstrap.Modal(document.getElementById('successModal'));
+  modal.show();
+}
+
+// ===== MODAIS =====
+// Listas dos cards de métricas: paginação, busca, período e categoria no servidor
+const METRIC_MODAL_PAGE_SIZE = 20;
+const LEAD_STAGES = ['Lead', 'Lead Qualificado', 'Lead Quente', 'Prospectivos Clientes', 'Cliente'];
+// instance/reachedStage só valem para o clique no funil e aparecem como chips
+let metricModal = { modalId: '', page: 1, search: '', category: '', instance: '', reachedStage: '', total: 0, items: [], seq: 0 };
+let metricSearchTimer = null;
+
+function leadCategoryBadge(category) {
+  const classes = {
+    'Lead': 'badge-lead',
+    'Lead Qualificado': 'badge-lead-qualificado',
+    'Lead Quente': 'badge-lead-quente',
+    'Prospectivos Clientes': 'badge-prospectivos',
+    'Cliente': 'badge-cliente'
+  };
+  return `<span class="badge ${classes[category] || 'badge-secondary'}">${escapeHtml(category || '—')}</span>`;
+}
+
+function formatMetricDate(value) {
+  if (!value) return '—';
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? String(value) : d.toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' });
+}
+
+function normalizeLead(raw) {
+  return {
+    id: raw.id,
+    name: raw.name || raw.nome || '',
+    phone: String(raw.phone || raw.telefone || raw.whatsapp || ''),
+    lastMessageDate: raw.last_message_at || raw.updated_at || raw.created_at || null,
+    category: raw.category || raw.stage || 'Lead',
+    conversationId: raw.conversation_id ?? null
+  };
+}
+
+// Configuração de cada modal: rota, normalização e linha da tabela
+const METRIC_MODALS = {
+  'conversations-modal': {
+    endpoint: '/conversations',
+    normalize: (raw) => ({
+      ...normalizeConversation(raw),
+      conversationId: String(raw.id ?? raw.conversation_id),
+      status: ({ open: 'Aberta', closed: 'Fechada' })[raw.status] || raw.status || 'Aberta'
+    }),
+    render: (item) => `
+      <td>${escapeHtml(item.name || phone.format(item.phone))}</td>
+      <td>${escapeHtml(formatMetricDate(item.lastAt))}</td>
+      <td>${escapeHtml(item.lastMessage)}</td>
+      <td><span class="badge badge-${item.status === 'Aberta' ? 'success' : 'secondary'}">${escapeHtml(item.status)}</span></td>`
+  },
+  'leads-modal': {
+    endpoint: '/leads',
+    normalize: normalizeLead,
+    render: (item) => `
+      <td>${escapeHtml(item.name || '—')}</td>
+      <td>${escapeHtml(phone.format(item.phone))}</td>
+      <td>${escapeHtml(formatMetricDate(item.lastMessageDate))}</td>
+      <td>${leadCategoryBadge(item.category)}</td>`
+  },
+  'sales-modal': {
+    endpoint: '/sales',
+    normalize: (raw) => ({
+      id: raw.id,
+      product: raw.product_title || raw.product_name || raw.product || '',
+      value: typeof raw.price_cents === 'number' ? raw.price_cents / 100 : Number(raw.value || raw.total || 0),
+      date: raw.created_at || raw.date || null,
+      customer: raw.customer_name || raw.name || '',
+      phone: String(raw.customer_phone || raw.phone || ''),
+      conversationId: raw.conversation_id ?? null
+    }),
+    render: (item) => `
+      <td>${escapeHtml(item.customer || phone.format(item.phone) || `#${item.id}`)}</td>
+      <td>${escapeHtml(item.product || '—')}</td>
+      <td>R$ ${centsToReais(Math.round(item.value * 100))}</td>
+      <td>${escapeHtml(formatMetricDate(item.date))}</td>`
+  },
+  'satisfaction-modal': {
+    endpoint: '/ratings',
+    normalize: (raw) => ({
+      id: raw.id,
+      rating: Math.max(0, Math.min(5, Math.round(Number(raw.rating ?? raw.score) || 0))),
+      comment: raw.comment || raw.comentario || '',
+      date: raw.created_at || raw.date || null,
+      phone: String(raw.phone || raw.contact_phone || ''),
+      conversationId: raw.conversation_id ?? null
+    }),
+    render: (item) => `
+      <td>#${escapeHtml(item.id)}</td>
+      <td>${'⭐'.repeat(item.rating) || '—'}</td>
+      <td>${escapeHtml(item.comment)}</td>
+      <td>${escapeHtml(formatMetricDate(item.date))}</td>`
+  }
+};
+
+// Prefixo dos elementos do modal (ex.: leads-modal → leads-search, leads-from)
+const metricPrefix = (modalId) => modalId.replace(/-modal$/, '');
+
+// filters: { category, instance, reachedStage } (usado pelo funil de leads)
+function openMetricModal(modalId, filters = {}) {
+  const modal = document.getElementById(modalId);
+  if (modal) {
+    modal.style.display = 'flex';
+    setTimeout(() => modal.classList.add('show'), 10);
+    // Abre no período selecionado na análise
+    const prefix = metricPrefix(modalId);
+    const { from, to } = resolveAnalyticsRange();
+    const set = (id, val) => { const el = document.getElementById(id); if (el) el.value = val; };
+    set(`${prefix}-search`, '');
+    set(`${prefix}-from`, toDateInputValue(from));
+    set(`${prefix}-to`, toDateInputValue(to));
+    metricModal.search = '';
+    populateModalTable(modalId, filters.category || 'all', filters);
+  }
+}
+function closeMetricModal(modalId) {
+  const modal = document.getElementById(modalId);
+  if (modal) {
+    modal.classList.remove('show');
+    setTimeout(() => modal.style.display = 'none', 300);
+  }
+}
+
+// (Re)carrega a lista do modal; no de leads, categoryFilter filtra no servidor.
+// Instância e etapa alcançada valem só quando passadas (clique no funil).
+function populateModalTable(modalId, categoryFilter = 'all', filters = {}) {
+  if (!METRIC_MODALS[modalId]) return;
+  metricModal.modalId = modalId;
+  metricModal.category = categoryFilter === 'all' ? '' : categoryFilter;
+  metricModal.instance = filters.instance || '';
+  metricModal.reachedStage = filters.reachedStage || '';
+  metricModal.page = 1;
+  document.querySelectorAll(`#${modalId} [data-lead-filter]`).forEach(btn => {
+    btn.classList.toggle('active', !metricModal.reachedStage && btn.dataset.leadFilter === categoryFilter);
+  });
+  renderMetricFilterChips();
+  return loadMetricModal();
+}
+
+// Chips dos filtros que não têm botão no modal (vindos do funil), com remoção
+function renderMetricFilterChips() {
+  const box = document.getElementById(`${metricPrefix(metricModal.modalId)}-active-filters`);
+  if (!box) return;
+  const chips = [];
+  if (metricModal.reachedStage) chips.push(['reachedStage', `Chegaram à etapa: ${metricModal.reachedStage}`]);
+  if (metricModal.instance) {
+    const inst = waInstances.find(i => i.id === metricModal.instance);
+    chips.push(['instance', `Instância: ${inst ? inst.name : metricModal.instance}`]);
+  }
+  box.style.display = chips.length ? '' : 'none';
+  box.innerHTML = chips.map(([key, label]) => `
+    <span class="badge badge-info metric-filter-chip mr-1">${escapeHtml(label)}
+      <button type="button" class="close ml-1" data-metric-clear="${key}" aria-label="Remover filtro">&times;</button>
+    </span>`).join('');
+}
+
+async function loadMetricModal() {
+  const { modalId } = metricModal;
+  const cfg = METRIC_MODALS[modalId];
+  const prefix = metricPrefix(modalId);
+  const body = document.getElementById(`${prefix}-table-body`);
+  if (!cfg || !body) return;
+  const seq = ++metricModal.seq;
+  body.innerHTML = '<tr><td colspan="4" class="text-center text-muted py-3"><i class="fas fa-spinner fa-spin mr-2"></i>Carregando...</td></tr>';
+
+  const params = new URLSearchParams({ page: String(metricModal.page), page_size: String(METRIC_MODAL_PAGE_SIZE) });
+  if (metricModal.search) params.set('search', metricModal.search);
+  if (metricModal.category) params.set('category', metricModal.category);
+  if (metricModal.instance) params.set('instance', metricModal.instance);
+  // Funil: quem alcançou a etapa no período (não só quem está nela agora)
+  if (metricModal.reachedStage) params.set('reached_stage', metricModal.reachedStage);
+  const from = parseDateInputValue(document.getElementById(`${prefix}-from`)?.value);
+  const to = parseDateInputValue(document.getElementById(`${prefix}-to`)?.value);
+  if (from) params.set('from', from.toISOString());
+  if (to) { to.setHours(23, 59, 59, 999); params.set('to', to.toISOString()); }
+
+  let data;
+  try {
+    data = await api.get(`${cfg.endpoint}?${params}`);
+  } catch (err) {
+    console.error(err);
+    if (seq !== metricModal.seq) return;
+    body.innerHTML = `<tr><td colspan="4" class="text-center text-danger py-3">${escapeHtml(err.message || 'Erro ao carregar os dados.')}</td></tr>`;
+    metricModal.items = [];
+    metricModal.total = 0;
+    renderMetricPagination();
+    return;
+  }
+  if (seq !== metricModal.seq) return; // filtro mudou durante a carga
+  const items = Array.isArray(data) ? data : (data.items || []);
+  metricModal.items = items.map(cfg.normalize);
+  metricModal.total = Number(data.total ?? data.count) || metricModal.items.length;
+  body.innerHTML = metricModal.items.length
+    ? metricModal.items.map((item, i) => `<tr class="clickable-row" data-metric-index="${i}" title="Abrir conversa">${cfg.render(item)}</tr>`).join('')
+    : '<tr><td colspan="4" class="text-center text-muted py-3">Nenhum registro neste período</td></tr>';
+  renderMetricPagination();
+}
+
+function renderMetricPagination() {
+  const box = document.getElementById(`${metricPrefix(metricModal.modalId)}-pagination`);
+  if (!box) return;
+  const { page, total, items } = metricModal;
+  if (!total) { box.innerHTML = ''; return; }
+  const pages = Math.max(1, Math.ceil(total / METRIC_MODAL_PAGE_SIZE));
+  const first = (page - 1) * METRIC_MODAL_PAGE_SIZE + 1;
+  box.innerHTML = `
+    <small class="text-muted">Mostrando ${first}–${first + items.length - 1} de ${total}</small>
+    <ul class="pagination pagination-sm mb-0">
+      <li class="page-item ${page <= 1 ? 'disabled' : ''}"><a class="page-link" href="#" data-metric-page="${page - 1}">&laquo;</a></li>
+      <li class="page-item disabled"><span class="page-link">${page} / ${pages}</span></li>
+      <li class="page-item ${page >= pages ? 'disabled' : ''}"><a class="page-link" href="#" data-metric-page="${page + 1}">&raquo;</a></li>
+    </ul>`;
+}
+
+// Busca no servidor (com espera curta enquanto digita)
+function filterTable(modalId, searchTerm) {
+  clearTimeout(metricSearchTimer);
+  metricSearchTimer = setTimeout(() => {
+    metricModal.modalId = modalId;
+    metricModal.search = String(searchTerm || '').trim();
+    metricModal.page = 1;
+    loadMetricModal();
+  }, 350);
+}
+
+// Clique numa linha: abre a conversa do registro no inbox
+async function openMetricRecord(item) {
+  if (!canAccessSection('inbox')) {
+    showNotification('Você não tem permissão para abrir conversas.', 'warning');
+    return;
+  }
+  if (!item.conversationId && !item.phone) {
+    showNotification('Este registro não tem conversa vinculada.', 'info');
+    return;
+  }
+  closeMetricModal(metricModal.modalId);
+  showSection('inbox');
+  if (item.conversationId) {
+    const id = String(item.conversationId);
+    if (!getInboxConversation(id)) {
+      inboxConversations.unshift({
+        id, name: item.name || item.customer || '', phone: item.phone || '',
+        lastMessage: item.lastMessage || '', lastAt: item.lastAt || null, unread: 0, agentPaused: !!item.agentPaused
+      });
+    }
+    await openInboxConversation(id);
+    return;
+  }
+  // Sem id da conversa: procura pelo telefone do contato
+  const target = phone.normalize(item.phone) || item.phone.replace(/\D/g, '');
+  const search = document.getElementById('inbox-search');
+  if (search) search.value = target;
+  await loadInboxConversations();
+  const match = inboxConversations.find(c => (phone.normalize(c.phone) || c.phone) === target);
+  if (match) await openInboxConversation(match.id);
+  else showNotification('Nenhuma conversa encontrada para este contato.', 'info');
+}
 
-// Função de logout
-function logout() {
+// ===== PRODUTOS =====
+// Regras de um produto novo (modal e importação usam as mesmas)
+function validateProductInput({ name, price, description }) {
+  if (!name) return "Por favor, insira o nome do produto.";
+  if (!price || price <= 0) return "Por favor, insira um preço válido.";
+  if (!description) return "Por favor, descreva o produto.";
+  return '';
+}
+
+async function addProduct() {
+  const form = document.getElementById("product-form");
+  const name = form.querySelector("#product-name").value.trim();
+  const price = parseFloat(form.querySelector("#product-price").value);
+  const category = form.querySelector("#product-category").value;
+  const description = form.querySelector("#product-description").value.trim();
+  const status = form.querySelector("#product-status").value || 'active';
+
+  const invalid = validateProductInput({ name, price, description });
+  if (invalid) { showNotification(invalid, "warning"); return; }
+  const { variants, error: variantError } = readVariantEditor('product-variants');
+  if (variantError) { showNotification(variantError, "warning"); return; }
+  const stockInput = parseInt(form.querySelector("#product-stock").value, 10);
+  const lowStockInput = parseInt(form.querySelector("#product-low-stock").value, 10);
+
+  let gallery;
   try {
-    localStorage.removeItem('token');
-    localStorage.removeItem('org_id');
-    localStorage.removeItem('flow_id');
-    localStorage.removeItem('user_name');
-    // (AJUSTE) limpar dados da instância e headers associados
-    localStorage.removeItem('wa_instance');
-    localStorage.removeItem('wa_token');
+    gallery = await uploadProductGallery('product-gallery');
+  } catch (err) {
+    console.error(err);
+    showNotification(`Erro ao enviar imagem: ${escapeHtml(err.message)}`, "danger");
+    return;
+  }
+  const product = {
+    id: Date.now(),
+    name,
+    price,
+    category: category || "Sem categoria",
+    description,
+    status,
+    images: gallery.urls,
+    imageUrl: gallery.cover,
+    priceCents: Math.round(price * 100),
+    variants,
+    stock: variants.length ? sumVariantStock(variants) : Math.max(0, stockInput || 0),
+    lowStockThreshold: Number.isNaN(lowStockInput) ? DEFAULT_LOW_STOCK_THRESHOLD : Math.max(0, lowStockInput),
+  };
+
+  let created;
+  try {
+    created = await createProductOnBackend(product);
+  } catch (err) {
+    showNotification(skuConflictMessage(err), "warning");
+    return;
+  }
+  if (created) {
+    showNotification("Produto adicionado com sucesso!", "success");
+    // (incremento) esconder o modal após sucesso
     try {
-      delete defaultHeaders['X-Instance-ID'];
-      delete defaultHeaders['X-Instance-Token'];
+      const modalEl = document.getElementById('addProductModal');
+      if (modalEl) (bootstrap.Modal.getInstance(modalEl) || new bootstrap.Modal(modalEl)).hide();
     } catch (_) {}
-  } catch (_) {}
-  window.location.href = 'login.html';
+  } else {
+    showNotification("Erro ao adicionar produto.", "danger");
+  }
+  form.reset();
+  renderVariantEditor('product-variants', []);
+  setProductGallery('product-gallery');
+  await fetchProducts();
+}
+function updateProductTable() {
+  const tbody = document.getElementById("product-list");
+  if (!tbody) return;
+  renderProductSortHeaders();
+  if (!products || products.length === 0) {
+    const filtered = productQuery.q || productQuery.category || productQuery.status;
+    tbody.innerHTML = `
+      <tr>
+        <td colspan="8" class="text-center text-muted py-4">
+          <i class="fas fa-box-open fa-2x mb-2"></i><br>
+          ${filtered ? 'Nenhum produto encontrado com estes filtros' : 'Nenhum produto cadastrado ainda'}
+        </td>
+      </tr>`;
+    renderProductBulkBar();
+    return;
+  }
+  tbody.innerHTML = products.map(product => `
+    <tr class="${selectedProductIds.has(product.id) ? 'table-active' : ''}">
+      <td class="product-select-col">
+        <input type="checkbox" class="form-check-input" data-product-select="${product.id}" aria-label="Selecionar ${escapeHtml(product.name)}"${selectedProductIds.has(product.id) ? ' checked' : ''}>
+      </td>
+      <td class="d-none d-md-table-cell">
+        ${product.image ?
+          `<img src="${escapeHtml(product.image)}" alt="${escapeHtml(product.name)}" class="product-image">` :
+          `<div class="product-placeholder"><i class="fas fa-image"></i></div>`
+        }
+      </td>
+      <td>
+        <strong>${escapeHtml(product.name)}</strong><br>
+        <small class="text-muted">${escapeHtml(product.description)}</small>
+      </td>
+      <td class="d-none d-lg-table-cell"><span class="badge badge-primary">${escapeHtml(product.category)}</span></td>
+      <td><span class="price-tag">R$ ${product.price.toFixed(2)}</span></td>
+      <td class="d-none d-sm-table-cell">${renderStockCell(product)}</td>
+      <td class="d-none d-sm-table-cell">
+        <button type="button" class="badge border-0 ${product.status === 'active' ? 'badge-success' : 'badge-secondary'}" onclick="toggleProductStatus(${product.id})" title="${product.status === 'active' ? 'Clique para desativar' : 'Clique para ativar'}">${product.status === 'active' ? 'Ativo' : 'Inativo'}</button>
+      </td>
+      <td>
+        <button class="btn btn-sm btn-outline-primary" onclick="openEditProduct(${product.id})" title="Editar produto"><i class="fas fa-edit"></i></button>
+        <button class="btn btn-sm btn-outline-danger" onclick="removeProduct(${product.id})" title="Remover produto"><i class="fas fa-trash"></i></button>
+      </td>
+    </tr>
+  `).join("");
+  renderProductBulkBar();
 }
 
-// ===== ABAS =====
-function nextTab() { if (currentTab < tabs.length - 1) { currentTab++; navigateToTab(tabs[currentTab]); } }
-function previousTab() { if (currentTab > 0) { currentTab--; navigateToTab(tabs[currentTab]); } }
-function navigateToTab(tabId) {
-  currentTab = tabs.indexOf(tabId);
-  document.querySelectorAll('.nav-tabs .nav-link').forEach(l => l.classList.remove('active'));
-  document.querySelectorAll('.tab-pane').forEach(p => p.classList.remove('show','active'));
-  const targetTab = document.getElementById(`${tabId}-tab`);
-  const targetPane = document.getElementById(tabId);
-  if (targetTab && targetPane) { targetTab.classList.add('active'); targetPane.classList.add('show','active'); }
-  updateNavigationButtons();
+// ==== UTILITÁRIOS DE CONVERSÃO ====
+function centsToReais(cents) {
+  if (!cents || isNaN(cents)) return '0,00';
+  return (cents / 100).toFixed(2).replace('.', ',');
 }
-function updateNavigationButtons() {
-  const prevButtons = document.querySelectorAll('[onclick="previousTab()"]');
-  const nextButtons = document.querySelectorAll('[onclick="nextTab()"]');
-  prevButtons.forEach(btn => { btn.disabled = currentTab === 0; });
-  nextButtons.forEach(btn => { btn.style.display = currentTab === tabs.length - 1 ? 'none' : 'inline-flex'; });
+// Aceita "1.234,56", "R$ 29,90", "29.90", "1,234.56" ou número
+function reaisToCents(value) {
+  if (value === null || value === undefined) return 0;
+  if (typeof value === 'number') return isNaN(value) || value < 0 ? 0 : Math.round(value * 100);
+  let str = String(value).replace(/R\$|\s/gi, '');
+  if (str === '') return 0;
+  const lastComma = str.lastIndexOf(',');
+  const lastDot = str.lastIndexOf('.');
+  if (lastComma > lastDot) str = str.replace(/\./g, '').replace(',', '.');
+  else if (lastComma >= 0) str = str.replace(/,/g, '');
+  else if (/^\d{1,3}(\.\d{3})+$/.test(str)) str = str.replace(/\./g, '');
+  const num = parseFloat(str);
+  if (isNaN(num) || num < 0) return 0;
+  return Math.round(num * 100);
+}
+
+// ==== LISTA DE PRODUTOS: paginação, busca, filtros e ordenação ====
+const PRODUCT_PAGE_SIZES = [25, 50, 100];
+const PRODUCT_SORT_FIELDS = ['name', 'category', 'price', 'stock'];
+// Parâmetros da URL do painel (ex.: /produtos?busca=camiseta&pagina=2)
+const PRODUCT_URL_PARAMS = { q: 'busca', category: 'categoria', status: 'status', sort: 'ordem', page: 'pagina', pageSize: 'por_pagina' };
+let productQuery = readProductQueryFromUrl();
+let productTotal = 0;
+let productSearchTimer = null;
+let productLoadSeq = 0;
+// Produtos marcados na lista para ações em massa (vale entre páginas)
+let selectedProductIds = new Set();
+
+function defaultProductQuery() {
+  return { q: '', category: '', status: '', sort: '', page: 1, pageSize: PRODUCT_PAGE_SIZES[0] };
+}
+
+// Estado inicial vindo do link (/produtos?...); fora dessa rota, o padrão
+function readProductQueryFromUrl() {
+  const query = defaultProductQuery();
+  if (!/^\/produtos\/?$/i.test(location.pathname || '')) return query;
+  const params = new URLSearchParams(location.search);
+  const get = (key) => (params.get(PRODUCT_URL_PARAMS[key]) || '').trim();
+  query.q = get('q');
+  query.category = get('category');
+  query.status = ['active', 'inactive'].includes(get('status')) ? get('status') : '';
+  const sort = get('sort');
+  query.sort = PRODUCT_SORT_FIELDS.includes(sort.replace(/^-/, '')) ? sort : '';
+  query.page = Math.max(1, parseInt(get('page'), 10) || 1);
+  const size = parseInt(get('pageSize'), 10);
+  query.pageSize = PRODUCT_PAGE_SIZES.includes(size) ? size : PRODUCT_PAGE_SIZES[0];
+  return query;
+}
+
+// Parâmetros da API
+function productQueryParams() {
+  const params = new URLSearchParams({ page: String(productQuery.page), page_size: String(productQuery.pageSize) });
+  ['q', 'category', 'status', 'sort'].forEach(k => { if (productQuery[k]) params.set(k, productQuery[k]); });
+  return params;
+}
+
+// Parâmetros da URL do painel (só o que difere do padrão)
+function productUrlSearch() {
+  const defaults = defaultProductQuery();
+  const params = new URLSearchParams();
+  Object.entries(PRODUCT_URL_PARAMS).forEach(([key, name]) => {
+    if (productQuery[key] && productQuery[key] !== defaults[key]) params.set(name, String(productQuery[key]));
+  });
+  const str = params.toString();
+  return str ? `?${str}` : '';
+}
+
+function syncProductQueryToUrl() {
+  const section = document.getElementById('products');
+  if (!section || section.style.display === 'none') return;
+  try { history.replaceState(null, '', `/produtos${productUrlSearch()}`); } catch (_) {}
+}
+
+// Aplica uma mudança de busca/filtro/ordem/página e recarrega a lista
+function setProductQuery(changes) {
+  Object.assign(productQuery, changes);
+  if (!('page' in changes)) {
+    productQuery.page = 1;
+    selectedProductIds.clear(); // outro filtro, outra lista: a seleção não vale mais
+  }
+  syncProductQueryToUrl();
+  fetchProducts();
+}
+
+// Clique no cabeçalho: crescente → decrescente → crescente
+function toggleProductSort(field) {
+  const next = productQuery.sort === field ? `-${field}` : field;
+  setProductQuery({ sort: next });
+}
+
+function renderProductSortHeaders() {
+  document.querySelectorAll('[data-product-sort]').forEach(th => {
+    const field = th.dataset.productSort;
+    const icon = productQuery.sort === field ? 'fa-sort-up' : productQuery.sort === `-${field}` ? 'fa-sort-down' : 'fa-sort';
+    const label = th.dataset.label || (th.dataset.label = th.textContent.trim());
+    th.innerHTML = `${label} <i class="fas ${icon}"></i>`;
+  });
+}
+
+function renderProductPagination() {
+  const box = document.getElementById('product-pagination');
+  if (!box) return;
+  if (!productTotal) {
+    box.innerHTML = '';
+    return;
+  }
+  const pages = Math.max(1, Math.ceil(productTotal / productQuery.pageSize));
+  const current = Math.min(productQuery.page, pages);
+  const from = (current - 1) * productQuery.pageSize + 1;
+  const to = Math.min(productTotal, from + products.length - 1);
+  // Janela de até 5 páginas em volta da atual
+  const first = Math.max(1, Math.min(current - 2, pages - 4));
+  const numbers = [];
+  for (let n = first; n <= Math.min(pages, first + 4); n++) numbers.push(n);
+  const item = (page, label, { disabled = false, active = false } = {}) => `
+    <li class="page-item ${disabled ? 'disabled' : ''} ${active ? 'active' : ''}">
+      <a class="page-link" href="#" data-product-page="${page}">${label}</a>
+    </li>`;
+  box.innerHTML = `
+    <small class="text-muted">Mostrando ${from}–${to} de ${productTotal}</small>
+    <ul class="pagination pagination-sm mb-0">
+      ${item(current - 1, '&laquo;', { disabled: current <= 1 })}
+      ${numbers.map(n => item(n, n, { active: n === current })).join('')}
+      ${item(current + 1, '&raquo;', { disabled: current >= pages })}
+    </ul>`;
+}
+
+// Preenche os controles a partir do estado (link aberto ou voltar)
+function renderProductToolbar() {
+  const setVal = (id, val) => { const el = document.getElementById(id); if (el) el.value = val; };
+  setVal('product-search', productQuery.q);
+  setCategorySelectValue(document.getElementById('product-filter-category'), productQuery.category);
+  setVal('product-filter-status', productQuery.status);
+  setVal('product-page-size', String(productQuery.pageSize));
+}
+
+// Voltar/avançar do navegador até um link /produtos?...: refaz filtros e lista
+window.addEventListener('popstate', () => {
+  if (!/^\/produtos\/?$/i.test(location.pathname || '')) return;
+  productQuery = readProductQueryFromUrl();
+  selectedProductIds.clear();
+  renderProductToolbar();
+  fetchProducts();
+});
+
+// ==== CATEGORIAS DE PRODUTOS ====
+// Cadastro vindo de /product-categories; nos produtos a categoria continua
+// sendo o nome (string). Renomear (PUT) e excluir (DELETE com reassign_to)
+// atualizam os produtos no backend, na mesma chamada da categoria.
+let productCategories = []; // [{ id, name, parentId, position, productCount }]
+let categoryDeleteId = null;
+
+// Selects alimentados pelo cadastro e a primeira opção fixa de cada um
+const CATEGORY_SELECTS = [
+  { id: 'product-category', first: 'Sem categoria' },
+  { id: 'edit-product-category', first: 'Sem categoria' },
+  { id: 'product-filter-category', first: 'Todas as categorias' },
+  { id: 'product-bulk-category', first: 'Mudar categoria para...' }
+];
+
+function normalizeCategory(c) {
+  return {
+    id: c.id,
+    name: c.name || c.title || '',
+    parentId: c.parent_id ?? null,
+    position: Number(c.position) || 0,
+    productCount: typeof c.product_count === 'number' ? c.product_count : null
+  };
+}
+
+// Lista em ordem de árvore (pai seguido dos filhos), com a profundidade
+function orderedCategories() {
+  const ids = new Set(productCategories.map(c => c.id));
+  const byParent = new Map();
+  productCategories.forEach(c => {
+    const parent = c.parentId !== null && ids.has(c.parentId) ? c.parentId : null;
+    if (!byParent.has(parent)) byParent.set(parent, []);
+    byParent.get(parent).push(c);
+  });
+  const out = [];
+  const seen = new Set();
+  const walk = (parent, depth) => {
+    (byParent.get(parent) || [])
+      .sort((a, b) => a.position - b.position || a.name.localeCompare(b.name, 'pt-BR'))
+      .forEach(c => {
+        if (seen.has(c.id)) return;
+        seen.add(c.id);
+        out.push({ ...c, depth });
+        walk(c.id, depth + 1);
+      });
+  };
+  walk(null, 0);
+  return out;
+}
+
+// IDs da categoria e de todas as subcategorias dela
+function categoryDescendants(id) {
+  const found = new Set([id]);
+  orderedCategories().forEach(c => { if (found.has(c.parentId)) found.add(c.id); });
+  return found;
+}
+
+// Seleciona o valor, criando a opção se ela não existir (categoria antiga)
+function setCategorySelectValue(select, value) {
+  if (!select) return;
+  const val = value === 'Sem categoria' ? '' : (value || '');
+  if (val && !Array.from(select.options).some(o => o.value === val)) select.add(new Option(val, val));
+  select.value = val;
+}
+
+function renderCategoryOptions() {
+  const list = orderedCategories();
+  CATEGORY_SELECTS.forEach(({ id, first }) => {
+    const select = document.getElementById(id);
+    if (!select) return;
+    const current = select.value;
+    select.innerHTML = '';
+    select.add(new Option(first, ''));
+    list.forEach(c => select.add(new Option(`${'— '.repeat(c.depth)}${c.name}`, c.name)));
+    setCategorySelectValue(select, current);
+  });
+  setCategorySelectValue(document.getElementById('product-filter-category'), productQuery.category);
+}
+
+async function loadProductCategories() {
+  try {
+    const data = await api.get('/product-categories');
+    productCategories = (Array.isArray(data) ? data : (data.items || [])).map(normalizeCategory);
+  } catch (err) {
+    console.error(err);
+  }
+  renderCategoryOptions();
+  renderCategoryManager();
+}
+
+function renderCategoryManager() {
+  const box = document.getElementById('category-list');
+  if (box) {
+    const list = orderedCategories();
+    box.innerHTML = list.length ? list.map(c => {
+      const siblings = list.filter(o => o.parentId === c.parentId);
+      const index = siblings.findIndex(o => o.id === c.id);
+      const count = c.productCount === null ? '' : `<small class="text-muted ml-2">${c.productCount} produto(s)</small>`;
+      return `
+        <li class="list-group-item d-flex align-items-center" data-category-id="${escapeHtml(c.id)}">
+          <span class="flex-grow-1" style="padding-left:${c.depth * 1.25}rem;">
+            ${c.depth ? '<i class="fas fa-level-up-alt fa-rotate-90 text-muted mr-1"></i>' : ''}${escapeHtml(c.name)}${count}
+          </span>
+          <div class="btn-group btn-group-sm">
+            <button type="button" class="btn btn-outline-secondary" data-category-action="up" title="Subir"${index <= 0 ? ' disabled' : ''}><i class="fas fa-arrow-up"></i></button>
+            <button type="button" class="btn btn-outline-secondary" data-category-action="down" title="Descer"${index >= siblings.length - 1 ? ' disabled' : ''}><i class="fas fa-arrow-down"></i></button>
+            <button type="button" class="btn btn-outline-primary" data-category-action="edit" title="Renomear ou mover"><i class="fas fa-edit"></i></button>
+            <button type="button" class="btn btn-outline-danger" data-category-action="delete" title="Excluir"><i class="fas fa-trash"></i></button>
+          </div>
+        </li>`;
+    }).join('') : '<li class="list-group-item text-muted small">Nenhuma categoria cadastrada ainda.</li>';
+  }
+
+  // Categoria pai: não pode ser a própria categoria nem uma subcategoria dela
+  const parent = document.getElementById('category-parent');
+  if (parent) {
+    const editId = document.getElementById('category-edit-id')?.value;
+    const blocked = editId ? categoryDescendants(findCategory(editId)?.id) : new Set();
+    const current = parent.value;
+    parent.innerHTML = '<option value="">Nenhuma (categoria principal)</option>' + orderedCategories()
+      .filter(c => !blocked.has(c.id))
+      .map(c => `<option value="${escapeHtml(c.id)}">${'— '.repeat(c.depth)}${escapeHtml(c.name)}</option>`)
+      .join('');
+    parent.value = Array.from(parent.options).some(o => o.value === current) ? current : '';
+  }
+}
+
+// Os ids chegam do DOM como texto
+function findCategory(id) {
+  return productCategories.find(c => String(c.id) === String(id));
+}
+
+function resetCategoryForm() {
+  const set = (id, val) => { const el = document.getElementById(id); if (el) el.value = val; };
+  set('category-edit-id', '');
+  set('category-name', '');
+  set('category-parent', '');
+  const saveBtn = document.getElementById('category-save-btn');
+  if (saveBtn) saveBtn.innerHTML = '<i class="fas fa-plus mr-1"></i>Criar';
+  const cancelBtn = document.getElementById('category-cancel-btn');
+  if (cancelBtn) cancelBtn.style.display = 'none';
+  renderCategoryManager();
+}
+
+function editCategory(id) {
+  const cat = findCategory(id);
+  if (!cat) return;
+  document.getElementById('category-edit-id').value = cat.id;
+  document.getElementById('category-name').value = cat.name;
+  renderCategoryManager();
+  document.getElementById('category-parent').value = cat.parentId === null ? '' : String(cat.parentId);
+  document.getElementById('category-save-btn').innerHTML = '<i class="fas fa-save mr-1"></i>Salvar';
+  document.getElementById('category-cancel-btn').style.display = '';
+  document.getElementById('category-name').focus();
+}
+
+// Quantos produtos o backend atualizou junto com a categoria
+const categoryProductsUpdated = (data) => Number(data && (data.products_updated ?? data.updated)) || 0;
+
+async function saveCategory() {
+  const name = document.getElementById('category-name').value.trim();
+  const parentVal = document.getElementById('category-parent').value;
+  const editId = document.getElementById('category-edit-id').value;
+  const editing = editId ? findCategory(editId) : null;
+  if (!name) { showNotification('Informe o nome da categoria.', 'warning'); return; }
+  const duplicate = productCategories.some(c => c.name.toLowerCase() === name.toLowerCase() && c !== editing);
+  if (duplicate) { showNotification(`Já existe a categoria ${escapeHtml(name)}.`, 'warning'); return; }
+  const parent = parentVal ? findCategory(parentVal) : null;
+  const payload = { name, parent_id: parent ? parent.id : null };
+  try {
+    if (editing) {
+      const data = await api.put(`/product-categories/${editing.id}`, payload);
+      if (editing.name !== name) {
+        const total = categoryProductsUpdated(data);
+        showNotification(`Categoria renomeada${total ? ` em ${total} produto(s)` : ''}.`, 'success');
+      } else {
+        showNotification('Categoria atualizada.', 'success');
+      }
+    } else {
+      const siblings = productCategories.filter(c => c.parentId === payload.parent_id);
+      await api.post('/product-categories', { ...payload, position: siblings.length });
+      showNotification('Categoria criada.', 'success');
+    }
+  } catch (err) {
+    console.error(err);
+    showNotification(err.message || 'Erro ao salvar a categoria.', 'danger');
+    return;
+  }
+  resetCategoryForm();
+  await loadProductCategories();
+  if (editing && editing.name !== name) await fetchProducts();
+}
+
+// Sobe/desce entre as categorias do mesmo nível
+async function moveCategory(id, delta) {
+  const cat = findCategory(id);
+  if (!cat) return;
+  const siblings = orderedCategories().filter(c => c.parentId === cat.parentId);
+  const from = siblings.findIndex(c => c.id === cat.id);
+  const to = from + delta;
+  if (to < 0 || to >= siblings.length) return;
+  const [moved] = siblings.splice(from, 1);
+  siblings.splice(to, 0, moved);
+  const order = siblings.map((c, position) => ({ id: c.id, position }));
+  order.forEach(({ id: cid, position }) => { findCategory(cid).position = position; });
+  renderCategoryOptions();
+  renderCategoryManager();
+  try {
+    await api.post('/product-categories/reorder', { order });
+  } catch (err) {
+    console.error(err);
+    showNotification('Erro ao reordenar as categorias.', 'danger');
+    await loadProductCategories();
+  }
+}
+
+// Exclusão pede o destino dos produtos da categoria
+function openCategoryDelete(id) {
+  const cat = findCategory(id);
+  const panel = document.getElementById('category-delete-panel');
+  if (!cat || !panel) return;
+  categoryDeleteId = cat.id;
+  document.getElementById('category-delete-name').textContent = cat.name;
+  const target = document.getElementById('category-delete-target');
+  target.innerHTML = '<option value="">Sem categoria</option>' + orderedCategories()
+    .filter(c => c.id !== cat.id)
+    .map(c => `<option value="${escapeHtml(c.name)}">${'— '.repeat(c.depth)}${escapeHtml(c.name)}</option>`)
+    .join('');
+  panel.style.display = 'block';
+}
+
+function closeCategoryDelete() {
+  categoryDeleteId = null;
+  const panel = document.getElementById('category-delete-panel');
+  if (panel) panel.style.display = 'none';
+}
+
+async function confirmCategoryDelete() {
+  const cat = findCategory(categoryDeleteId);
+  if (!cat) { closeCategoryDelete(); return; }
+  const target = document.getElementById('category-delete-target').value;
+  const btn = document.getElementById('category-delete-confirm-btn');
+  if (btn) btn.disabled = true;
+  try {
+    // O backend, numa só operação, sobe as subcategorias um nível e move os
+    // produtos para o destino escolhido (vazio = Sem categoria)
+    const data = await api.del(`/product-categories/${cat.id}?${new URLSearchParams({ reassign_to: target })}`);
+    const total = categoryProductsUpdated(data);
+    showNotification(`Categoria ${escapeHtml(cat.name)} excluída${total ? `; ${total} produto(s) movidos para ${escapeHtml(target || 'Sem categoria')}` : ''}.`, 'success');
+    closeCategoryDelete();
+  } catch (err) {
+    console.error(err);
+    showNotification(err.message || 'Erro ao excluir a categoria.', 'danger');
+  } finally {
+    if (btn) btn.disabled = false;
+    await loadProductCategories();
+    await fetchProducts();
+  }
+}
+
+// ==== VARIAÇÕES E ESTOQUE ====
+const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+// Normaliza uma variação do backend: { id, size, color, sku, priceCents (null = preço do produto), stock }
+function normalizeVariant(v) {
+  return {
+    id: v.id ?? null,
+    size: v.size || v.tamanho || '',
+    color: v.color || v.cor || '',
+    sku: v.sku || '',
+    priceCents: typeof v.price_cents === 'number' ? v.price_cents : null,
+    stock: Math.max(0, parseInt(v.stock, 10) || 0)
+  };
+}
+
+function variantPayload(v) {
+  const payload = { size: v.size, color: v.color, sku: v.sku, price_cents: v.priceCents, stock: v.stock };
+  if (v.id !== null && v.id !== undefined) payload.id = v.id;
+  return payload;
+}
+
+function variantLabel(v) {
+  return [v.size, v.color].filter(Boolean).join(' / ');
+}
+
+function sumVariantStock(variants) {
+  return variants.reduce((sum, v) => sum + (v.stock || 0), 0);
+}
+
+// Estoque real: soma das variações ou o estoque do próprio produto
+function productTotalStock(product) {
+  const variants = product.variants || [];
+  return variants.length ? sumVariantStock(variants) : (product.stock || 0);
+}
+
+// Itens no limite de alerta: cada variação conta separadamente
+function lowStockItems(product) {
+  const limit = product.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD;
+  const variants = product.variants || [];
+  if (variants.length) {
+    return variants.filter(v => v.stock <= limit).map(v => ({ label: `${product.name} (${variantLabel(v) || v.sku})`, stock: v.stock }));
+  }
+  return (product.stock || 0) <= limit ? [{ label: product.name, stock: product.stock || 0 }] : [];
+}
+
+function renderStockCell(product) {
+  const total = productTotalStock(product);
+  const variants = product.variants || [];
+  const low = lowStockItems(product).length > 0;
+  const main = total <= 0
+    ? '<span class="badge badge-lead-quente">Esgotado</span>'
+    : `<span class="${low ? 'text-warning' : ''}">${total}${low ? ' <i class="fas fa-exclamation-triangle" title="Estoque baixo"></i>' : ''}</span>`;
+  if (!variants.length) return main;
+  const detail = variants.map(v => `${escapeHtml(variantLabel(v) || v.sku)}: ${v.stock}`).join(' · ');
+  return `${main}<br><small class="text-muted" title="${detail}">${variants.length} variaç${variants.length === 1 ? 'ão' : 'ões'}</small>`;
+}
+
+function renderLowStockAlert(list) {
+  const box = document.getElementById('low-stock-alert');
+  if (!box) return;
+  const items = list.flatMap(lowStockItems);
+  if (!items.length) {
+    box.style.display = 'none';
+    return;
+  }
+  const shown = items.slice(0, 5).map(it =>
+    `${escapeHtml(it.label)}: <strong>${it.stock <= 0 ? 'esgotado' : it.stock}</strong>`
+  ).join(' · ');
+  box.innerHTML = `<i class="fas fa-exclamation-triangle mr-2"></i><strong>Estoque baixo em ${items.length} item(ns):</strong> ${shown}${items.length > 5 ? ` e mais ${items.length - 5}` : ''}`;
+  box.style.display = 'block';
+}
+
+// Editor de variações dos modais (linhas com tamanho, cor, SKU, preço e estoque)
+function variantRowHtml(v = {}) {
+  const price = typeof v.priceCents === 'number' ? (v.priceCents / 100).toFixed(2) : '';
+  return `
+    <div class="variant-row row g-1 mb-1" data-variant-id="${escapeHtml(v.id ?? '')}">
+      <div class="col-6 col-md-2"><input type="text" class="form-control form-control-sm" data-variant="size" placeholder="Tamanho" value="${escapeHtml(v.size || '')}"></div>
+      <div class="col-6 col-md-2"><input type="text" class="form-control form-control-sm" data-variant="color" placeholder="Cor" value="${escapeHtml(v.color || '')}"></div>
+      <div class="col-6 col-md-3"><input type="text" class="form-control form-control-sm" data-variant="sku" placeholder="SKU" value="${escapeHtml(v.sku || '')}"></div>
+      <div class="col-6 col-md-2"><input type="number" step="0.01" min="0" class="form-control form-control-sm" data-variant="price" placeholder="Preço" value="${price}"></div>
+      <div class="col-6 col-md-2"><input type="number" step="1" min="0" class="form-control form-control-sm" data-variant="stock" placeholder="Estoque" value="${v.stock ?? ''}"></div>
+      <div class="col-6 col-md-1 text-right">
+        <button type="button" class="btn btn-sm btn-outline-danger" data-variant-remove title="Remover variação"><i class="fas fa-times"></i></button>
+      </div>
+    </div>`;
+}
+
+function renderVariantEditor(containerId, variants) {
+  const box = document.getElementById(containerId);
+  if (!box) return;
+  box.innerHTML = variants.map(variantRowHtml).join('');
+  syncVariantStockInput(box);
+}
+
+function addVariantRow(containerId) {
+  const box = document.getElementById(containerId);
+  if (!box) return;
+  box.insertAdjacentHTML('beforeend', variantRowHtml());
+  syncVariantStockInput(box);
+}
+
+// Com variações, o estoque do produto vira a soma (campo somente leitura)
+function syncVariantStockInput(box) {
+  const input = document.getElementById(box.dataset.stockInput);
+  if (!input) return;
+  const rows = box.querySelectorAll('.variant-row');
+  input.readOnly = rows.length > 0;
+  if (rows.length) {
+    input.value = Array.from(rows).reduce((sum, row) =>
+      sum + Math.max(0, parseInt(row.querySelector('[data-variant="stock"]').value, 10) || 0), 0);
+  }
+}
+
+// Mensagem do 409 do backend, que confere a unicidade do SKU no catálogo todo
+function skuConflictMessage(err) {
+  const sku = err && err.data && err.data.sku;
+  return sku ? `O SKU ${escapeHtml(sku)} já está em uso em outro produto.` : 'Um dos SKUs já está em uso em outro produto.';
+}
+
+// Lê e valida as variações; SKU é obrigatório e único. Aqui só se confere o
+// formulário e a página carregada: o catálogo todo é validado pelo servidor (409).
+function readVariantEditor(containerId, productId = null) {
+  const box = document.getElementById(containerId);
+  const variants = [];
+  if (!box) return { variants };
+  const otherSkus = new Set(products
+    .filter(p => p.id !== productId)
+    .flatMap(p => (p.variants || []).map(v => v.sku.toLowerCase())));
+  const seen = new Set();
+  for (const row of box.querySelectorAll('.variant-row')) {
+    const val = (key) => row.querySelector(`[data-variant="${key}"]`).value.trim();
+    const v = { size: val('size'), color: val('color'), sku: val('sku'), price: val('price'), stock: val('stock') };
+    if (!v.size && !v.color && !v.sku && !v.price && !v.stock) continue;
+    // As mensagens vão para showNotification (HTML): o texto digitado é escapado
+    const label = escapeHtml(variantLabel(v) || v.sku || 'sem nome');
+    if (!v.size && !v.color) return { variants, error: `Informe o tamanho ou a cor da variação ${label}.` };
+    if (!v.sku) return { variants, error: `Informe o SKU da variação ${label}.` };
+    const skuKey = v.sku.toLowerCase();
+    if (seen.has(skuKey) || otherSkus.has(skuKey)) return { variants, error: `O SKU ${escapeHtml(v.sku)} já está em uso.` };
+    seen.add(skuKey);
+    const stock = v.stock === '' ? 0 : Number(v.stock);
+    if (!Number.isInteger(stock) || stock < 0) return { variants, error: `Estoque inválido na variação ${label}.` };
+    const priceCents = v.price === '' ? null : reaisToCents(v.price);
+    if (priceCents !== null && priceCents <= 0) return { variants, error: `Preço inválido na variação ${label}.` };
+    const id = row.dataset.variantId;
+    variants.push({ id: id ? (Number(id) || id) : null, size: v.size, color: v.color, sku: v.sku, priceCents, stock });
+  }
+  return { variants };
+}
+
+// ==== GALERIA DE IMAGENS DOS PRODUTOS ====
+const PRODUCT_GALLERY_MAX = 8;
+const PRODUCT_IMAGE_MAX_SIDE = 1600;
+const PRODUCT_IMAGE_QUALITY = 0.82;
+// Estado por editor (id do container): imagens na ordem de exibição e a capa
+const productGalleries = {};
+
+// Reduz o lado maior para até 1600px e recomprime em WebP (JPEG se o
+// navegador não gerar WebP). GIF/SVG passam intactos, e se o resultado
+// não ficar menor que o original, fica o original.
+async function compressProductImage(file) {
+  if (!/^image\/(jpeg|png|webp|bmp)$/i.test(file.type) || typeof createImageBitmap !== 'function') return file;
+  let source;
+  try {
+    source = await createImageBitmap(file, { imageOrientation: 'from-image' });
+  } catch (_) {
+    return file;
+  }
+  const scale = Math.min(1, PRODUCT_IMAGE_MAX_SIDE / Math.max(source.width, source.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(source.width * scale);
+  canvas.height = Math.round(source.height * scale);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+  if (source.close) source.close();
+  const toBlob = (type) => new Promise(resolve => canvas.toBlob(resolve, type, PRODUCT_IMAGE_QUALITY));
+  let blob = await toBlob('image/webp');
+  if (!blob || blob.type !== 'image/webp') {
+    // JPEG não tem transparência: fundo branco em vez de preto
+    ctx.globalCompositeOperation = 'destination-over';
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    blob = await toBlob('image/jpeg');
+  }
+  if (!blob || blob.size >= file.size) return file;
+  const ext = blob.type === 'image/webp' ? 'webp' : 'jpg';
+  return new File([blob], `${file.name.replace(/\.[^.]+$/, '')}.${ext}`, { type: blob.type });
+}
+
+function getProductGallery(containerId) {
+  if (!productGalleries[containerId]) {
+    productGalleries[containerId] = { items: [], coverKey: null, processing: 0, uploading: false, seq: 0, generation: 0, dragKey: null };
+  }
+  return productGalleries[containerId];
 }
 
-// ===== COMPORTAMENTO =====
-function toggleWhatsAppConfig() {
-  const checkbox = document.getElementById('whatsapp-notification');
-  const config = document.getElementById('whatsapp-config');
-  if (checkbox && config) config.style.display = checkbox.checked ? 'block' : 'none';
+// Carrega a galeria de um produto (URLs da API); sem argumentos, limpa
+function setProductGallery(containerId, urls = [], cover = '') {
+  const g = getProductGallery(containerId);
+  g.items.forEach(it => { if (it.file) URL.revokeObjectURL(it.src); });
+  g.generation++;
+  g.processing = 0;
+  g.items = urls.map(raw => ({ key: `img${++g.seq}`, raw, src: resolveProductImage(raw), file: null, progress: null, error: '' }));
+  g.coverKey = (g.items.find(it => it.raw === cover) || g.items[0] || {}).key || null;
+  renderProductGallery(containerId);
 }
-function toggleSiteLinkConfig() {
-  const checkbox = document.getElementById('site-link');
-  const config = document.getElementById('site-link-config');
-  if (checkbox && config) config.style.display = checkbox.checked ? 'block' : 'none';
+
+// Comprime e adiciona arquivos escolhidos (ou soltos) no editor
+async function addProductGalleryFiles(containerId, files) {
+  const g = getProductGallery(containerId);
+  const images = Array.from(files || []).filter(f => f.type.startsWith('image/'));
+  const room = Math.max(0, PRODUCT_GALLERY_MAX - g.items.length - g.processing);
+  if (images.length > room) showNotification(`Máximo de ${PRODUCT_GALLERY_MAX} imagens por produto.`, 'warning');
+  const accepted = images.slice(0, room);
+  const generation = g.generation;
+  g.processing += accepted.length;
+  renderProductGallery(containerId);
+  for (const original of accepted) {
+    let file = original;
+    try {
+      file = await compressProductImage(original);
+    } catch (err) {
+      console.error(err);
+    }
+    if (g.generation !== generation) return; // o modal foi reaberto com outro produto
+    g.processing--;
+    const key = `img${++g.seq}`;
+    g.items.push({ key, raw: '', src: URL.createObjectURL(file), file, progress: null, error: '' });
+    if (!g.coverKey) g.coverKey = key;
+    renderProductGallery(containerId);
+  }
 }
-function toggleProductLinkConfig() {
-  const checkbox = document.getElementById('product-link');
-  const config = document.getElementById('product-link-config');
-  if (checkbox && config) config.style.display = checkbox.checked ? 'block' : 'none';
+
+function removeProductGalleryItem(containerId, key) {
+  const g = getProductGallery(containerId);
+  const item = g.items.find(it => it.key === key);
+  if (!item) return;
+  if (item.file) URL.revokeObjectURL(item.src);
+  g.items = g.items.filter(it => it !== item);
+  if (g.coverKey === key) g.coverKey = (g.items[0] || {}).key || null;
+  renderProductGallery(containerId);
 }
 
-// Carrega os dados da empresa
-async function loadCompany() {
-  try {
-    const res = await fetch(`${BACKEND_BASE}/api/company`, { headers: defaultHeaders });
-    if (!res.ok) throw new Error('Falha ao carregar empresa');
-    const data = await res.json();
-    const setVal = (id, val) => { const el = document.getElementById(id); if (el) el.value = val || ''; };
-    setVal('company-razao', data.razao_social || data.name || '');
-    setVal('company-fantasia', data.nome_fantasia || '');
-    setVal('company-cnpj', data.tax_id || '');
-    setVal('company-insc', data.inscricao_estadual || '');
-    setVal('company-segment', data.segmento || '');
-    setVal('company-phone', data.telefone || '');
-    setVal('company-email', data.email || '');
-    setVal('company-bairro', data.bairro || '');
-    setVal('company-endereco', data.endereco || '');
-    setVal('company-numero', data.numero || '');
-    setVal('company-cep', data.cep || '');
-    setVal('company-cidade', data.cidade || '');
-    const ufSelect = document.getElementById('company-uf');
-    if (ufSelect && data.uf) ufSelect.value = data.uf;
-    setVal('company-observacoes', data.observacoes || '');
-  } catch (err) {
-    console.error(err);
+function moveProductGalleryItem(containerId, fromKey, toKey) {
+  const g = getProductGallery(containerId);
+  const from = g.items.findIndex(it => it.key === fromKey);
+  const to = g.items.findIndex(it => it.key === toKey);
+  if (from < 0 || to < 0 || from === to) return;
+  const [item] = g.items.splice(from, 1);
+  g.items.splice(to, 0, item);
+  renderProductGallery(containerId);
+}
+
+function renderProductGallery(containerId) {
+  const box = document.getElementById(containerId);
+  if (!box) return;
+  const g = getProductGallery(containerId);
+  const tiles = g.items.map((it, i) => {
+    const isCover = it.key === g.coverKey;
+    const size = it.file && !it.raw ? `<small class="product-gallery-size">${Math.max(1, Math.round(it.file.size / 1024))} KB</small>` : '';
+    const progress = it.progress === null ? '' : `
+        <div class="progress product-gallery-progress"><div class="progress-bar" style="width:${Math.round(it.progress * 100)}%"></div></div>`;
+    return `
+      <div class="product-gallery-item${isCover ? ' is-cover' : ''}${it.error ? ' has-error' : ''}" draggable="true" data-gallery-key="${it.key}" title="${escapeHtml(it.error || 'Arraste para reordenar')}">
+        <img src="${escapeHtml(it.src)}" alt="Imagem ${i + 1}">
+        ${isCover ? '<span class="badge badge-primary product-gallery-cover">Capa</span>' : ''}
+        <div class="product-gallery-actions">
+          <button type="button" class="btn btn-sm btn-light" data-gallery-cover title="Usar como capa"${isCover ? ' disabled' : ''}><i class="fas fa-star"></i></button>
+          <button type="button" class="btn btn-sm btn-light" data-gallery-remove title="Remover imagem"><i class="fas fa-times"></i></button>
+        </div>
+        ${size}${progress}
+      </div>`;
+  });
+  for (let i = 0; i < g.processing; i++) {
+    tiles.push('<div class="product-gallery-item is-processing" title="Comprimindo..."><i class="fas fa-spinner fa-spin"></i></div>');
   }
+  box.innerHTML = tiles.join('') ||
+    '<div class="product-gallery-empty text-muted small">Nenhuma imagem. Selecione ou arraste arquivos para cá.</div>';
 }
 
-// ===== PERFIL =====
-function saveProfile() {
-  // (incremento) persiste o perfil (reutiliza saveAgentConfig localStorage)
-  try { saveAgentConfig(); } catch (_) {}
-  const modal = new bootstrap.Modal(document.getElementById('successModal'));
-  modal.show();
+// Atualiza só a barra do item (re-renderizar recarregaria as miniaturas)
+function setProductGalleryProgress(containerId, item, fraction) {
+  item.progress = fraction;
+  const bar = document.querySelector(`#${containerId} [data-gallery-key="${item.key}"] .progress-bar`);
+  if (bar) bar.style.width = `${Math.round(fraction * 100)}%`;
 }
 
-// ===== MODAIS =====
-function openMetricModal(modalId) {
-  const modal = document.getElementById(modalId);
-  if (modal) {
-    modal.style.display = 'flex';
-    setTimeout(() => modal.classList.add('show'), 10);
-    populateModalTable(modalId);
+// Envia as imagens novas, uma por vez e com progresso, e devolve a galeria
+// final ({urls, cover}) com as URLs do backend
+async function uploadProductGallery(containerId) {
+  const g = getProductGallery(containerId);
+  if (g.processing) throw new Error('Aguarde o processamento das imagens.');
+  if (g.uploading) throw new Error('Envio de imagens em andamento.');
+  g.uploading = true;
+  try {
+    for (const it of g.items) {
+      if (it.raw) continue;
+      it.error = '';
+      it.progress = 0;
+      renderProductGallery(containerId);
+      try {
+        it.raw = await uploadImage(it.file, (fraction) => setProductGalleryProgress(containerId, it, fraction)) || '';
+        if (!it.raw) throw new Error('O servidor não devolveu a URL da imagem.');
+      } catch (err) {
+        it.error = err.message || 'Erro ao enviar imagem.';
+        throw err;
+      } finally {
+        it.progress = null;
+        renderProductGallery(containerId);
+      }
+    }
+  } finally {
+    g.uploading = false;
   }
+  const cover = (g.items.find(it => it.key === g.coverKey) || g.items[0] || {}).raw || '';
+  return { urls: g.items.map(it => it.raw), cover };
 }
-function closeMetricModal(modalId) {
-  const modal = document.getElementById(modalId);
-  if (modal) {
-    modal.classList.remove('show');
-    setTimeout(() => modal.style.display = 'none', 300);
+
+// ==== IMPORTAÇÃO / EXPORTAÇÃO DE PRODUTOS ====
+const PRODUCT_IMPORT_BATCH_SIZE = 5;
+const PRODUCT_IMPORT_PREVIEW_LIMIT = 200;
+// Campos do produto e os nomes de coluna reconhecidos automaticamente
+const PRODUCT_IMPORT_FIELDS = [
+  { key: 'name', label: 'Nome', required: true, aliases: ['nome', 'name', 'produto', 'titulo', 'title'] },
+  { key: 'price', label: 'Preço (R$)', required: true, aliases: ['preco', 'preco_r', 'price', 'valor'] },
+  { key: 'description', label: 'Descrição', required: true, aliases: ['descricao', 'description', 'desc'] },
+  { key: 'category', label: 'Categoria', aliases: ['categoria', 'category'] },
+  { key: 'imageUrl', label: 'URL da imagem', aliases: ['url_da_imagem', 'imagem', 'image', 'image_url', 'foto'] },
+  { key: 'stock', label: 'Estoque', aliases: ['estoque', 'stock', 'quantidade', 'qtd'] }
+];
+// Estado do assistente: cabeçalho, linhas brutas, mapeamento e linhas validadas
+let productImport = { fileName: '', headers: [], rows: [], mapping: {}, items: [], failures: [], existingNames: new Set() };
+
+// Lê a primeira planilha do arquivo como linhas de células (texto)
+async function readProductImportFile(file) {
+  if (/\.xlsx?$/i.test(file.name)) {
+    if (typeof XLSX === 'undefined') throw new Error('Leitor de Excel indisponível. Use CSV.');
+    const wb = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+    const sheet = wb.Sheets[wb.SheetNames[0]];
+    return XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '' })
+      .map(row => row.map(v => (v === null || v === undefined ? '' : v)))
+      .filter(row => row.some(v => String(v).trim() !== ''));
   }
+  return parseCsv(await file.text());
 }
-function populateModalTable(modalId, categoryFilter = 'all') {
-  let data, tableBodyId, renderFunction;
-  switch (modalId) {
-    case 'conversations-modal':
-      data = sampleData.conversations;
-      tableBodyId = 'conversations-table-body';
-      renderFunction = (item) => `
-        <tr>
-          <td>#${item.id}</td>
-          <td>${item.date}</td>
-          <td>${item.lastMessage}</td>
-          <td><span class="badge badge-${item.status === 'Aberta' ? 'success' : 'secondary'}">${item.status}</span></td>
-        </tr>`;
-      break;
-    case 'leads-modal':
-      data = sampleData.leads;
-      tableBodyId = 'leads-table-body';
-      let filteredLeads = categoryFilter === 'all' ? data : data.filter(lead => lead.category === categoryFilter);
-      renderFunction = (item) => {
-        let badgeClass = 'badge-secondary';
-        switch (item.category) {
-          case 'Lead': badgeClass = 'badge-lead'; break;
-          case 'Lead Qualificado': badgeClass = 'badge-lead-qualificado'; break;
-          case 'Lead Quente': badgeClass = 'badge-lead-quente'; break;
-          case 'Prospectivos Clientes': badgeClass = 'badge-prospectivos'; break;
-          case 'Cliente': badgeClass = 'badge-cliente'; break;
-        }
-        return `
-          <tr>
-            <td>${item.name}</td>
-            <td>${item.phone}</td>
-            <td>${item.lastMessageDate}</td>
-            <td><span class="badge ${badgeClass}">${item.category}</span></td>
-          </tr>`;
-      };
-      data = filteredLeads;
-      break;
-    case 'sales-modal':
-      data = sampleData.sales;
-      tableBodyId = 'sales-table-body';
-      renderFunction = (item) => `
-        <tr>
-          <td>#${item.id}</td>
-          <td>${item.product}</td>
-          <td>R$ ${item.value.toFixed(2)}</td>
-          <td>${item.date}</td>
-        </tr>`;
-      break;
-    case 'satisfaction-modal':
-      data = sampleData.satisfaction;
-      tableBodyId = 'satisfaction-table-body';
-      renderFunction = (item) => `
-        <tr>
-          <td>#${item.id}</td>
-          <td>${"⭐".repeat(item.rating)}</td>
-          <td>${item.comment}</td>
-          <td>${item.date}</td>
-        </tr>`;
-      break;
-    default: return;
-  }
-  const tableBody = document.getElementById(tableBodyId);
-  if (tableBody) tableBody.innerHTML = data.map(renderFunction).join('');
+
+function showProductImportStep(step) {
+  const show = (id, on) => { const el = document.getElementById(id); if (el) el.style.display = on ? '' : 'none'; };
+  show('product-import-step-file', step === 'file');
+  show('product-import-step-map', step === 'map');
+  show('product-import-step-preview', step === 'preview');
+  show('product-import-back-btn', step !== 'file');
+  show('product-import-next-btn', step === 'map');
+  show('product-import-dry-btn', step === 'preview');
+  show('product-import-run-btn', step === 'preview');
+  show('product-import-errors-btn', step === 'preview' && productImport.failures.length > 0);
+  show('product-import-progress-wrap', false);
 }
-function filterTable(modalId, searchTerm) {
-  const tableBodyId = modalId.replace('-modal', '-table-body');
-  const tableBody = document.getElementById(tableBodyId);
-  if (!tableBody) return;
-  const rows = tableBody.getElementsByTagName('tr');
-  const filter = searchTerm.toUpperCase();
-  for (let i = 0; i < rows.length; i++) {
-    const cells = rows[i].getElementsByTagName('td');
-    let found = false;
-    for (let j = 0; j < cells.length; j++) {
-      const cellText = cells[j].textContent || cells[j].innerText;
-      if (cellText.toUpperCase().indexOf(filter) > -1) { found = true; break; }
-    }
-    rows[i].style.display = found ? '' : 'none';
+
+function resetProductImport() {
+  productImport = { fileName: '', headers: [], rows: [], mapping: {}, items: [], failures: [], existingNames: new Set() };
+  const input = document.getElementById('product-import-file');
+  if (input) input.value = '';
+  const summary = document.getElementById('product-import-summary');
+  if (summary) summary.innerHTML = '';
+  const runBtn = document.getElementById('product-import-run-btn');
+  if (runBtn) runBtn.disabled = false;
+  showProductImportStep('file');
+}
+
+async function loadProductImportFile(file) {
+  if (!file) return;
+  let rows;
+  try {
+    rows = await readProductImportFile(file);
+  } catch (err) {
+    console.error(err);
+    showNotification(err.message || 'Não foi possível ler o arquivo.', 'danger');
+    return;
+  }
+  if (rows.length < 2) {
+    showNotification('A planilha precisa de um cabeçalho e ao menos uma linha.', 'warning');
+    return;
   }
+  const headers = rows[0].map(h => String(h).trim());
+  const keys = headers.map(toVarKey);
+  const mapping = {};
+  PRODUCT_IMPORT_FIELDS.forEach(f => {
+    const idx = keys.findIndex(k => f.aliases.includes(k));
+    mapping[f.key] = idx >= 0 ? idx : -1;
+  });
+  productImport = { fileName: file.name, headers, rows: rows.slice(1), mapping, items: [], failures: [], existingNames: new Set() };
+  const info = document.getElementById('product-import-file-info');
+  if (info) info.textContent = `${file.name}: ${productImport.rows.length} linha(s). Confira a coluna de cada campo.`;
+  renderProductImportMapping();
+  showProductImportStep('map');
 }
 
-// ===== PRODUTOS =====
-async function addProduct() {
-  const form = document.getElementById("product-form");
-  const imgFile = form.querySelector("#product-image").files[0];
-  const name = form.querySelector("#product-name").value.trim();
-  const price = parseFloat(form.querySelector("#product-price").value);
-  const category = form.querySelector("#product-category").value;
-  const description = form.querySelector("#product-description").value.trim();
+function renderProductImportMapping() {
+  const box = document.getElementById('product-import-mapping');
+  if (!box) return;
+  const options = (selected) => '<option value="-1">— Não importar —</option>' + productImport.headers.map((h, i) =>
+    `<option value="${i}" ${i === selected ? 'selected' : ''}>${escapeHtml(h || `Coluna ${i + 1}`)}</option>`
+  ).join('');
+  box.innerHTML = PRODUCT_IMPORT_FIELDS.map(f => `
+    <div class="col-12 col-md-6">
+      <label class="form-label" for="product-import-map-${f.key}">${f.label}${f.required ? ' *' : ''}</label>
+      <select class="form-control" id="product-import-map-${f.key}" data-import-field="${f.key}">${options(productImport.mapping[f.key])}</select>
+    </div>`).join('');
+}
 
-  if (!name) { showNotification("Por favor, insira o nome do produto.", "warning"); return; }
-  if (!price || price <= 0) { showNotification("Por favor, insira um preço válido.", "warning"); return; }
-  if (!description) { showNotification("Por favor, descreva o produto.", "warning"); return; }
+// Aplica o mapeamento e valida cada linha com as regras do addProduct
+function buildProductImportItems() {
+  const m = productImport.mapping;
+  const cell = (row, key) => (m[key] >= 0 ? String(row[m[key]] ?? '').trim() : '');
+  const existing = productImport.existingNames;
+  const seen = new Map();
+  productImport.items = productImport.rows.map((row, i) => {
+    const line = i + 2;
+    const priceCents = m.price >= 0 ? reaisToCents(row[m.price]) : 0;
+    const stockRaw = cell(row, 'stock');
+    const product = {
+      name: cell(row, 'name'),
+      price: priceCents / 100,
+      priceCents,
+      description: cell(row, 'description'),
+      category: cell(row, 'category') || 'Sem categoria',
+      imageUrl: cell(row, 'imageUrl'),
+      stock: stockRaw ? parseInt(stockRaw, 10) : 0
+    };
+    let error = validateProductInput(product);
+    const key = product.name.toLowerCase();
+    if (!error && Number.isNaN(product.stock)) error = 'Estoque inválido.';
+    if (!error && product.imageUrl && !/^https?:\/\//i.test(product.imageUrl)) error = 'URL da imagem inválida.';
+    if (!error && seen.has(key)) error = `Nome repetido na linha ${seen.get(key)}.`;
+    if (!error && existing.has(key)) error = 'Já existe um produto com este nome.';
+    if (!seen.has(key)) seen.set(key, line);
+    return { line, product, error, status: error ? 'invalid' : 'pending' };
+  });
+}
 
-  let uploadedUrl = null;
-  if (imgFile) {
-    try {
-      uploadedUrl = await uploadImage(imgFile);
-    } catch (err) {
-      console.error(err);
-      showNotification("Erro ao enviar imagem.", "danger");
-      return;
-    }
+function renderProductImportPreview(note = '') {
+  const tbody = document.getElementById('product-import-preview');
+  const summary = document.getElementById('product-import-summary');
+  const items = productImport.items;
+  const count = (st) => items.filter(it => it.status === st).length;
+  if (summary) {
+    const parts = [`<strong>${items.length}</strong> linha(s)`, `${count('pending')} pronta(s)`, `${count('invalid')} com erro`];
+    if (count('created')) parts.push(`${count('created')} importada(s)`);
+    if (count('failed')) parts.push(`${count('failed')} falharam no servidor`);
+    summary.innerHTML = parts.join(' · ') + (note ? `<div class="small text-muted mt-1">${escapeHtml(note)}</div>` : '');
   }
-  const product = {
-    id: Date.now(),
-    name,
-    price,
-    category: category || "Sem categoria",
-    description,
-    image: imgFile ? URL.createObjectURL(imgFile) : null,
-    imageUrl: uploadedUrl || '',
-    priceCents: Math.round(price * 100),
-    stock: 0,
+  if (!tbody) return;
+  const label = {
+    pending: '<span class="badge badge-secondary">Pronta</span>',
+    created: '<span class="badge badge-success">Importada</span>'
   };
+  const shown = items.slice(0, PRODUCT_IMPORT_PREVIEW_LIMIT);
+  tbody.innerHTML = shown.map(it => `
+    <tr>
+      <td>${it.line}</td>
+      <td>${escapeHtml(it.product.name || '—')}</td>
+      <td>R$ ${centsToReais(it.product.priceCents)}</td>
+      <td>${escapeHtml(it.product.category)}</td>
+      <td>${label[it.status] || `<span class="badge badge-lead-quente">Erro</span> <small>${escapeHtml(it.error)}</small>`}</td>
+    </tr>`).join('') + (items.length > shown.length
+      ? `<tr><td colspan="5" class="text-center text-muted small">… e mais ${items.length - shown.length} linha(s)</td></tr>`
+      : '');
+}
 
-  const created = await createProductOnBackend(product);
-  if (created) {
-    showNotification("Produto adicionado com sucesso!", "success");
-    // (incremento) esconder o modal após sucesso
-    try {
-      const modalEl = document.getElementById('addProductModal');
-      if (modalEl) (bootstrap.Modal.getInstance(modalEl) || new bootstrap.Modal(modalEl)).hide();
-    } catch (_) {}
-  } else {
-    showNotification("Erro ao adicionar produto.", "danger");
+function collectProductImportFailures() {
+  productImport.failures = productImport.items.filter(it => it.error);
+  const btn = document.getElementById('product-import-errors-btn');
+  if (btn) btn.style.display = productImport.failures.length ? '' : 'none';
+}
+
+async function goToProductImportPreview() {
+  document.querySelectorAll('#product-import-mapping [data-import-field]').forEach(sel => {
+    productImport.mapping[sel.dataset.importField] = parseInt(sel.value, 10);
+  });
+  const missing = PRODUCT_IMPORT_FIELDS.filter(f => f.required && productImport.mapping[f.key] < 0);
+  if (missing.length) {
+    showNotification(`Escolha a coluna de: ${missing.map(f => f.label).join(', ')}.`, 'warning');
+    return;
   }
-  form.reset();
-  await fetchProducts();
+  // Nomes já cadastrados no catálogo todo (a lista da tela é só uma página)
+  try {
+    const all = await fetchAllProducts();
+    productImport.existingNames = new Set(all.map(p => String(p.name).toLowerCase()));
+  } catch (err) {
+    console.error(err);
+    productImport.existingNames = new Set(products.map(p => String(p.name).toLowerCase()));
+  }
+  buildProductImportItems();
+  collectProductImportFailures();
+  const runBtn = document.getElementById('product-import-run-btn');
+  if (runBtn) runBtn.disabled = false;
+  showProductImportStep('preview');
+  renderProductImportPreview('Revise a prévia. "Simular" valida tudo sem gravar nada.');
 }
-function updateProductTable() {
-  const tbody = document.getElementById("product-list");
-  if (!tbody) return;
-  if (!products || products.length === 0) {
-    tbody.innerHTML = `
-      <tr>
-        <td colspan="6" class="text-center text-muted py-4">
-          <i class="fas fa-box-open fa-2x mb-2"></i><br>
-          Nenhum produto cadastrado ainda
-        </td>
-      </tr>`;
+
+// Simulação: só valida e mostra o que aconteceria
+function dryRunProductImport() {
+  buildProductImportItems();
+  collectProductImportFailures();
+  const ready = productImport.items.filter(it => it.status === 'pending').length;
+  renderProductImportPreview(`Simulação concluída: ${ready} produto(s) seriam criados e ${productImport.failures.length} linha(s) seriam ignoradas. Nada foi enviado.`);
+}
+
+// Cria os produtos válidos em lotes, com barra de progresso
+async function runProductImport() {
+  const queue = productImport.items.filter(it => it.status === 'pending');
+  if (!queue.length) {
+    showNotification('Nenhuma linha válida para importar.', 'warning');
     return;
   }
-  tbody.innerHTML = products.map(product => `
-    <tr>
-      <td class="d-none d-md-table-cell">
-        ${product.image ?
-          `<img src="${product.image}" alt="${product.name}" class="product-image">` :
-          `<div class="product-placeholder"><i class="fas fa-image"></i></div>`
-        }
-      </td>
-      <td>
-        <strong>${product.name}</strong><br>
-        <small class="text-muted">${product.description}</small>
-      </td>
-      <td class="d-none d-lg-table-cell"><span class="badge badge-primary">${product.category}</span></td>
-      <td><span class="price-tag">R$ ${product.price.toFixed(2)}</span></td>
-      <td class="d-none d-sm-table-cell"><span class="badge ${product.status === 'active' ? 'badge-success' : 'badge-secondary'}">${product.status === 'active' ? 'Ativo' : 'Inativo'}</span></td>
-      <td>
-        <button class="btn btn-sm btn-outline-primary" onclick="openEditProduct(${product.id})" title="Editar produto"><i class="fas fa-edit"></i></button>
-        <button class="btn btn-sm btn-outline-danger" onclick="removeProduct(${product.id})" title="Remover produto"><i class="fas fa-trash"></i></button>
-      </td>
-    </tr>
-  `).join("");
+  if (!confirm(`Importar ${queue.length} produto(s)?`)) return;
+  const runBtn = document.getElementById('product-import-run-btn');
+  const dryBtn = document.getElementById('product-import-dry-btn');
+  const backBtn = document.getElementById('product-import-back-btn');
+  const bar = document.getElementById('product-import-progress');
+  const barWrap = document.getElementById('product-import-progress-wrap');
+  [runBtn, dryBtn, backBtn].forEach(b => { if (b) b.disabled = true; });
+  if (barWrap) barWrap.style.display = '';
+  let done = 0;
+  for (let i = 0; i < queue.length; i += PRODUCT_IMPORT_BATCH_SIZE) {
+    const batch = queue.slice(i, i + PRODUCT_IMPORT_BATCH_SIZE);
+    const results = await Promise.all(batch.map(it => createProductOnBackend(it.product)
+      .catch(err => { it.error = skuConflictMessage(err); return null; })));
+    results.forEach((created, j) => {
+      const it = batch[j];
+      if (created) {
+        it.status = 'created';
+        productImport.existingNames.add(it.product.name.toLowerCase());
+      } else {
+        it.status = 'failed';
+        it.error = it.error || 'Falha ao criar no servidor.';
+      }
+    });
+    done += batch.length;
+    if (bar) bar.style.width = `${Math.round(done / queue.length * 100)}%`;
+    renderProductImportPreview(`Importando… ${done} de ${queue.length}`);
+  }
+  collectProductImportFailures();
+  const created = productImport.items.filter(it => it.status === 'created').length;
+  renderProductImportPreview(`Importação concluída: ${created} produto(s) criados, ${productImport.failures.length} linha(s) com erro.`);
+  [dryBtn, backBtn].forEach(b => { if (b) b.disabled = false; });
+  showNotification(`${created} produto(s) importado(s).`, productImport.failures.length ? 'warning' : 'success');
+  await fetchProducts();
 }
 
-// ==== UTILITÁRIOS DE CONVERSÃO ====
-function centsToReais(cents) {
-  if (!cents || isNaN(cents)) return '0,00';
-  return (cents / 100).toFixed(2).replace('.', ',');
+function downloadProductImportErrors() {
+  const rows = [['Linha', 'Nome', 'Erro']].concat(
+    productImport.failures.map(it => [it.line, it.product.name, it.error])
+  );
+  downloadFile(`erros-importacao-${productImport.fileName.replace(/\.\w+$/, '') || 'produtos'}.csv`, toCsv(rows));
 }
-function reaisToCents(value) {
-  if (value === null || value === undefined) return 0;
-  let str = String(value).trim();
-  if (str === '') return 0;
-  str = str.replace(/\./g, '').replace(',', '.');
-  const num = parseFloat(str);
-  if (isNaN(num) || num < 0) return 0;
-  return Math.round(num * 100);
+
+// Exporta o catálogo com os filtros atuais, todas as páginas (preço em reais e URL da imagem)
+async function exportProducts(format = 'csv') {
+  let list;
+  try {
+    list = await fetchAllProducts({ q: productQuery.q, category: productQuery.category, status: productQuery.status, sort: productQuery.sort });
+  } catch (err) {
+    console.error(err);
+    showNotification('Não foi possível carregar o catálogo para exportar.', 'danger');
+    return;
+  }
+  if (!list.length) {
+    showNotification('Nenhum produto para exportar.', 'warning');
+    return;
+  }
+  const header = ['ID', 'Nome', 'Categoria', 'Preço (R$)', 'Descrição', 'Estoque', 'Status', 'URL da imagem'];
+  const rows = list.map(p => [
+    p.id,
+    p.name,
+    p.category,
+    format === 'xlsx' ? p.priceCents / 100 : centsToReais(p.priceCents),
+    p.description,
+    productTotalStock(p),
+    p.status === 'active' ? 'Ativo' : 'Inativo',
+    p.image && !p.image.startsWith('data:') ? p.image : ''
+  ]);
+  const stamp = new Date().toISOString().slice(0, 10);
+  if (format === 'xlsx') {
+    if (typeof XLSX === 'undefined') {
+      showNotification('Gerador de Excel indisponível. Exporte em CSV.', 'danger');
+      return;
+    }
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([header].concat(rows)), 'Produtos');
+    XLSX.writeFile(wb, `produtos-${stamp}.xlsx`);
+    return;
+  }
+  downloadFile(`produtos-${stamp}.csv`, toCsv([header].concat(rows)));
 }
 
 // ==== EDIÇÃO DE PRODUTOS ====
 async function updateProductOnBackend(id, product) {
   try {
-    const payload = { title: product.name, slug: '', category: product.category || '' };
+    const payload = {
+      title: product.name,
+      slug: product.slug || slugify(product.name),
+      description: product.description || '',
+      category: product.category || ''
+    };
+    if (product.status) payload.status = product.status;
     if (typeof product.priceCents === 'number' && !isNaN(product.priceCents)) {
       payload.price_cents = product.priceCents;
     } else {
       payload.price_cents = null;
     }
-    const res = await fetch(`${BACKEND_BASE}/api/products/${id}`, {
-      method: 'PUT',
-      headers: defaultHeaders,
-      body: JSON.stringify(payload)
-    });
-    if (!res.ok) throw new Error('Falha ao atualizar produto');
+    if (typeof product.stock === 'number') payload.stock = product.stock;
+    if (typeof product.lowStockThreshold === 'number') payload.low_stock_threshold = product.lowStockThreshold;
+    if (Array.isArray(product.variants)) payload.variants = product.variants.map(variantPayload);
+    if (Array.isArray(product.images)) {
+      payload.images = productImagesPayload(product.images, product.imageUrl);
+      payload.image_url = (payload.images.find(img => img.is_cover) || {}).url || '';
+    }
+    await api.put(`/products/${id}`, payload);
     return true;
   } catch (err) {
     console.error(err);
+    if (err.status === 409) throw err;
     return false;
   }
 }
@@ -1045,7 +4340,17 @@ function openEditProduct(id) {
   document.getElementById('edit-product-id').value = product.id;
   document.getElementById('edit-product-name').value = product.name || '';
   document.getElementById('edit-product-price').value = (product.price != null ? product.price.toFixed(2) : '');
-  document.getElementById('edit-product-category').value = product.category || '';
+  setCategorySelectValue(document.getElementById('edit-product-category'), product.category);
+  document.getElementById('edit-product-description').value = product.description || '';
+  document.getElementById('edit-product-status').value = product.status || 'active';
+  const slugInput = document.getElementById('edit-product-slug');
+  slugInput.value = product.slug || slugify(product.name);
+  // Slug que ainda segue o nome continua acompanhando as mudanças dele
+  slugInput.dataset.auto = !product.slug || product.slug === slugify(product.name) ? '1' : '0';
+  document.getElementById('edit-product-stock').value = product.stock || 0;
+  document.getElementById('edit-product-low-stock').value = product.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD;
+  renderVariantEditor('edit-product-variants', product.variants || []);
+  setProductGallery('edit-product-gallery', product.imagesRaw || [], product.imageRaw);
   const modalEl = document.getElementById('editProductModal');
   if (modalEl) { const modal = new bootstrap.Modal(modalEl); modal.show(); }
 }
@@ -1054,10 +4359,44 @@ async function saveEditProduct() {
   const name = document.getElementById('edit-product-name').value.trim();
   const priceStr = document.getElementById('edit-product-price').value.trim();
   const category = document.getElementById('edit-product-category').value.trim();
+  const description = document.getElementById('edit-product-description').value.trim();
+  const status = document.getElementById('edit-product-status').value || 'active';
+  const slug = slugify(document.getElementById('edit-product-slug').value || name);
   const priceCents = reaisToCents(priceStr);
-  if (!name) { showNotification('O nome do produto é obrigatório.', 'warning'); return; }
-  const updated = { name, category, priceCents };
-  const ok = await updateProductOnBackend(id, updated);
+  const invalid = validateProductInput({ name, price: priceCents / 100, description });
+  if (invalid) { showNotification(invalid, 'warning'); return; }
+  const { variants, error: variantError } = readVariantEditor('edit-product-variants', id);
+  if (variantError) { showNotification(variantError, 'warning'); return; }
+  const stockInput = parseInt(document.getElementById('edit-product-stock').value, 10);
+  const lowStockInput = parseInt(document.getElementById('edit-product-low-stock').value, 10);
+  let gallery;
+  try {
+    gallery = await uploadProductGallery('edit-product-gallery');
+  } catch (err) {
+    console.error(err);
+    showNotification(`Erro ao enviar imagem: ${escapeHtml(err.message)}`, 'danger');
+    return;
+  }
+  const updated = {
+    name,
+    slug,
+    description,
+    status,
+    category,
+    priceCents,
+    variants,
+    images: gallery.urls,
+    imageUrl: gallery.cover,
+    stock: variants.length ? sumVariantStock(variants) : Math.max(0, stockInput || 0),
+    lowStockThreshold: Number.isNaN(lowStockInput) ? DEFAULT_LOW_STOCK_THRESHOLD : Math.max(0, lowStockInput)
+  };
+  let ok;
+  try {
+    ok = await updateProductOnBackend(id, updated);
+  } catch (err) {
+    showNotification(skuConflictMessage(err), 'warning');
+    return;
+  }
   if (ok) { showNotification('Produto atualizado com sucesso!', 'success'); }
   else { showNotification('Erro ao atualizar produto.', 'danger'); }
   const modalEl = document.getElementById('editProductModal');
@@ -1067,12 +4406,114 @@ async function saveEditProduct() {
 async function removeProduct(productId) {
   if (confirm("Tem certeza que deseja remover este produto?")) {
     const ok = await deleteProductOnBackend(productId);
-    if (ok) showNotification("Produto removido com sucesso!", "info");
+    if (ok) {
+      selectedProductIds.delete(productId);
+      showNotification("Produto removido com sucesso!", "info");
+    }
     else showNotification("Erro ao remover produto.", "danger");
     await fetchProducts();
   }
 }
 
+// Alteração parcial (status, categoria) sem reenviar o produto inteiro
+async function patchProductOnBackend(id, fields) {
+  try {
+    await api.patch(`/products/${id}`, fields);
+    return true;
+  } catch (err) {
+    console.error(err);
+    return false;
+  }
+}
+
+// Clique no selo Ativo/Inativo da lista
+async function toggleProductStatus(id) {
+  const product = products.find(p => p.id === id);
+  if (!product) return;
+  const status = product.status === 'active' ? 'inactive' : 'active';
+  const ok = await patchProductOnBackend(id, { status });
+  if (ok) showNotification(status === 'active' ? 'Produto ativado.' : 'Produto desativado.', 'success');
+  else showNotification('Erro ao alterar o status do produto.', 'danger');
+  await fetchProducts();
+}
+
+// ==== SELEÇÃO E AÇÕES EM MASSA ====
+const PRODUCT_BULK_BATCH_SIZE = 5;
+
+function renderProductBulkBar() {
+  const bar = document.getElementById('product-bulk-bar');
+  const count = document.getElementById('product-bulk-count');
+  const all = document.getElementById('product-select-all');
+  const size = selectedProductIds.size;
+  if (bar) bar.style.display = size ? 'flex' : 'none';
+  if (count) count.textContent = `${size} selecionado(s)`;
+  if (all) {
+    const onPage = products.filter(p => selectedProductIds.has(p.id)).length;
+    all.checked = !!products.length && onPage === products.length;
+    all.indeterminate = onPage > 0 && onPage < products.length;
+  }
+}
+
+function setProductSelected(id, selected) {
+  if (selected) selectedProductIds.add(id);
+  else selectedProductIds.delete(id);
+}
+
+// Marca/desmarca todos os produtos da página aberta
+function toggleAllProductsSelection(selected) {
+  products.forEach(p => setProductSelected(p.id, selected));
+  updateProductTable();
+}
+
+function clearProductSelection() {
+  selectedProductIds.clear();
+  updateProductTable();
+}
+
+// Executa a ação em lotes e devolve quantos produtos falharam
+async function runProductBulk(ids, action) {
+  let failed = 0;
+  for (let i = 0; i < ids.length; i += PRODUCT_BULK_BATCH_SIZE) {
+    const results = await Promise.all(ids.slice(i, i + PRODUCT_BULK_BATCH_SIZE).map(action));
+    failed += results.filter(ok => !ok).length;
+  }
+  return { total: ids.length, failed };
+}
+
+function notifyProductBulk({ total, failed }, doneMessage) {
+  if (!failed) showNotification(doneMessage, 'success');
+  else showNotification(`${total - failed} de ${total} produto(s) atualizados; ${failed} falharam.`, 'warning');
+}
+
+async function bulkSetProductStatus(status) {
+  if (!selectedProductIds.size) return;
+  const result = await runProductBulk(Array.from(selectedProductIds), id => patchProductOnBackend(id, { status }));
+  notifyProductBulk(result, `${result.total} produto(s) ${status === 'active' ? 'ativados' : 'desativados'}.`);
+  selectedProductIds.clear();
+  await fetchProducts();
+}
+
+async function bulkSetProductCategory() {
+  const select = document.getElementById('product-bulk-category');
+  const category = select ? select.value : '';
+  if (!selectedProductIds.size) return;
+  if (!category) { showNotification('Escolha a nova categoria.', 'warning'); return; }
+  const result = await runProductBulk(Array.from(selectedProductIds), id => patchProductOnBackend(id, { category }));
+  notifyProductBulk(result, `${result.total} produto(s) movidos para ${escapeHtml(category)}.`);
+  select.value = '';
+  selectedProductIds.clear();
+  await fetchProducts();
+}
+
+async function bulkDeleteProducts() {
+  const size = selectedProductIds.size;
+  if (!size || !confirm(`Excluir ${size} produto(s)? Esta ação não pode ser desfeita.`)) return;
+  const result = await runProductBulk(Array.from(selectedProductIds), deleteProductOnBackend);
+  notifyProductBulk(result, `${result.total} produto(s) excluídos.`);
+  selectedProductIds.clear();
+  await fetchProducts();
+}
+
 // ===== NOTIFICAÇÕES =====
 function showNotification(message, type = "info") {
   const existingNotification = document.querySelector(".notification");
@@ -1095,87 +4536,225 @@ function showNotification(message, type = "info") {
   document.body.appendChild(notification);
   setTimeout(() => { if (notification.parentElement) notification.remove(); }, 5000);
 }
-function getNotificationIcon(type) {
-  const icons = { success: "check-circle", warning: "exclamation-triangle", danger: "exclamation-circle", info: "info-circle" };
-  return icons[type] || "info-circle";
+function getNotificationIcon(type) {
+  const icons = { success: "check-circle", warning: "exclamation-triangle", danger: "exclamation-circle", info: "info-circle" };
+  return icons[type] || "info-circle";
+}
+
+// ==== FUNIL DE LEADS ====
+// Contagem por etapa = leads que chegaram à etapa no período; a conversão é
+// a fração que passou da etapa anterior para esta
+let funnelInstance = '';
+let funnelInstancesRequested = false;
+let funnelSeq = 0;
+
+// "2d 4h", "5h 10min", "12min"
+function formatDuration(seconds) {
+  const s = Number(seconds);
+  if (!Number.isFinite(s) || s <= 0) return '—';
+  const days = Math.floor(s / 86400);
+  const hours = Math.floor((s % 86400) / 3600);
+  const minutes = Math.floor((s % 3600) / 60);
+  if (days) return hours ? `${days}d ${hours}h` : `${days}d`;
+  if (hours) return minutes ? `${hours}h ${minutes}min` : `${hours}h`;
+  return `${Math.max(1, minutes)}min`;
+}
+
+async function fetchLeadFunnel(period = resolveAnalyticsRange()) {
+  const data = await api.get(`/analytics/funnel?${analyticsParams(period, { instance: funnelInstance })}`);
+  const rows = Array.isArray(data) ? data : (data.stages || data.items || []);
+  const byStage = new Map(rows.map(r => [r.stage || r.category || r.name, r]));
+  return LEAD_STAGES.map(stage => {
+    const row = byStage.get(stage) || {};
+    return { stage, count: Number(row.count) || 0, medianSeconds: row.median_seconds ?? null };
+  });
+}
+
+function renderFunnelInstanceOptions() {
+  const select = document.getElementById('funnel-instance');
+  if (!select) return;
+  select.innerHTML = '<option value="">Todas as instâncias</option>' + waInstances
+    .map(i => `<option value="${escapeHtml(i.id)}">${escapeHtml(i.name)}</option>`).join('');
+  select.value = waInstances.some(i => i.id === funnelInstance) ? funnelInstance : '';
+}
+
+async function loadLeadFunnel() {
+  const box = document.getElementById('lead-funnel');
+  if (!box) return;
+  if (!waInstances.length && !funnelInstancesRequested && canAccessSection('wa')) {
+    funnelInstancesRequested = true;
+    loadWhatsAppInstances();
+  }
+  const seq = ++funnelSeq;
+  let stages;
+  try {
+    stages = await fetchLeadFunnel();
+  } catch (err) {
+    console.error(err);
+    if (seq !== funnelSeq) return;
+    box.innerHTML = '<div class="chart-empty" style="display:flex;">Não foi possível carregar o funil.</div>';
+    renderFunnelInsight(null);
+    return;
+  }
+  if (seq !== funnelSeq) return;
+  analyticsSnapshot.funnel = stages;
+  const max = Math.max(...stages.map(s => s.count));
+  if (!max) {
+    box.innerHTML = '<div class="chart-empty" style="display:flex;">Sem leads no período selecionado</div>';
+    renderFunnelInsight(null);
+    return;
+  }
+  box.innerHTML = stages.map((s, i) => {
+    const prev = i > 0 ? stages[i - 1].count : null;
+    const rate = prev ? `${((s.count / prev) * 100).toLocaleString('pt-BR', { maximumFractionDigits: 1 })}% da etapa anterior` : 'entrada do funil';
+    const width = Math.max(8, (s.count / max) * 100);
+    return `
+      <button type="button" class="lead-funnel-stage" data-funnel-stage="${escapeHtml(s.stage)}" title="Ver os leads desta etapa">
+        <span class="lead-funnel-bar" style="width:${width}%;">${leadCategoryBadge(s.stage)} <strong>${s.count.toLocaleString('pt-BR')}</strong></span>
+        <small class="lead-funnel-meta">${rate} · mediana na etapa: ${formatDuration(s.medianSeconds)}</small>
+      </button>`;
+  }).join('');
+  renderFunnelInsight(stages);
+}
+
+// Onde o funil mais perde gente (menor conversão entre etapas)
+function renderFunnelInsight(stages) {
+  const el = document.getElementById('lead-funnel-insight');
+  if (!el) return;
+  let worst = null;
+  (stages || []).forEach((s, i) => {
+    if (!i || !stages[i - 1].count) return;
+    const rate = s.count / stages[i - 1].count;
+    if (!worst || rate < worst.rate) worst = { from: stages[i - 1].stage, to: s.stage, rate };
+  });
+  if (!worst) { el.textContent = ''; return; }
+  const first = stages[0].count;
+  const last = stages[stages.length - 1].count;
+  const overall = first ? ((last / first) * 100).toLocaleString('pt-BR', { maximumFractionDigits: 1 }) : '0';
+  el.innerHTML = `Maior perda: <strong>${escapeHtml(worst.from)} → ${escapeHtml(worst.to)}</strong> ` +
+    `(${(worst.rate * 100).toLocaleString('pt-BR', { maximumFractionDigits: 1 })}% avançam). Conversão total do funil: <strong>${overall}%</strong>.`;
 }
 
 // ===== GRÁFICO =====
+const CHART_GRANULARITIES = { hour: 'Hora', day: 'Dia', week: 'Semana', month: 'Mês' };
+// Séries do gráfico de performance (ordem dos datasets)
+const CHART_SERIES = [
+  { key: 'leads', label: 'Leads', color: '#28a745', fill: 'rgba(40, 167, 69, 0.1)' },
+  { key: 'conversations', label: 'Conversas', color: '#17a2b8', fill: 'rgba(23, 162, 184, 0.1)' },
+  { key: 'sales', label: 'Vendas', color: '#007bff', fill: 'rgba(0, 123, 255, 0.1)' }
+];
+let chartGranularity = ''; // vazio = automático pelo tamanho do período
+let chartHiddenSeries = new Set();
+let chartSeq = 0;
+
+// Agrupamento efetivo: o escolhido ou o adequado ao período
+function resolveChartGranularity(period = resolveAnalyticsRange()) {
+  const days = (period.to.getTime() - period.from.getTime()) / 86400000;
+  // Por hora só até 31 dias (acima disso seriam pontos demais)
+  if (chartGranularity && !(chartGranularity === 'hour' && days > 31)) return chartGranularity;
+  if (days <= 1) return 'hour';
+  if (days <= 62) return 'day';
+  if (days <= 180) return 'week';
+  return 'month';
+}
+
+async function fetchAnalyticsSeries(period = resolveAnalyticsRange(), granularity = resolveChartGranularity(period)) {
+  const data = await api.get(`/analytics/timeseries?${analyticsParams(period, { granularity })}`);
+  const items = Array.isArray(data) ? data : (data.items || []);
+  return items.map(item => ({
+    t: item.t || item.bucket || item.date,
+    leads: Number(item.leads) || 0,
+    conversations: Number(item.conversations) || 0,
+    sales: Number(item.sales) || 0
+  }));
+}
+
+function formatChartLabel(value, granularity) {
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return String(value);
+  if (granularity === 'hour') return d.toLocaleString('pt-BR', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' });
+  if (granularity === 'week') return `Sem. ${d.toLocaleDateString('pt-BR', { day: '2-digit', month: '2-digit' })}`;
+  if (granularity === 'month') return d.toLocaleDateString('pt-BR', { month: 'short', year: '2-digit' });
+  return d.toLocaleDateString('pt-BR', { day: '2-digit', month: '2-digit' });
+}
+
+// Mensagem no lugar do gráfico (sem dados ou erro); vazio = mostra o gráfico
+function setChartMessage(message) {
+  const wrap = document.getElementById('performanceChart')?.parentElement;
+  const empty = document.getElementById('performance-chart-empty');
+  if (wrap) wrap.style.display = message ? 'none' : '';
+  if (empty) {
+    empty.style.display = message ? 'flex' : 'none';
+    empty.textContent = message || '';
+  }
+  const exportBtn = document.getElementById('performance-chart-export-btn');
+  if (exportBtn) exportBtn.disabled = !!message;
+}
+
+function renderChartControls(granularity, period) {
+  const days = (period.to.getTime() - period.from.getTime()) / 86400000;
+  document.querySelectorAll('[data-chart-granularity]').forEach(btn => {
+    const value = btn.dataset.chartGranularity;
+    btn.classList.toggle('active', value === granularity);
+    btn.disabled = value === 'hour' && days > 31;
+  });
+  document.querySelectorAll('[data-chart-series]').forEach(input => {
+    input.checked = !chartHiddenSeries.has(input.dataset.chartSeries);
+  });
+}
+
 async function createPerformanceChart() {
   const ctx = document.getElementById("performanceChart");
   if (!ctx) return;
-  if (chartInstance) chartInstance.destroy();
-  let labels = [];
-  let conversions = [];
-  let leadsData = [];
-  try {
-    const res = await fetchSalesByHour();
-    if (res && Array.isArray(res.items) && res.items.length > 0) {
-      labels = res.items.map(item => {
-        const d = new Date(item.t);
-        return d.toLocaleString('pt-BR', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' });
-      });
-      conversions = res.items.map(item => Number(item.c));
-      leadsData = conversions.map(c => Math.round(c * 1.5));
-    } else {
-      labels = ["Semana 1","Semana 2","Semana 3","Semana 4","Semana 5","Semana 6"];
-      conversions = [12,19,8,15,22,18];
-      leadsData = [8,12,15,10,18,14];
-    }
+  const seq = ++chartSeq;
+  const period = resolveAnalyticsRange();
+  const granularity = resolveChartGranularity(period);
+  renderChartControls(granularity, period);
+  let items;
+  try {
+    items = await fetchAnalyticsSeries(period, granularity);
   } catch (err) {
     console.error(err);
-    labels = ["Semana 1","Semana 2","Semana 3","Semana 4","Semana 5","Semana 6"];
-    conversions = [12,19,8,15,22,18];
-    leadsData = [8,12,15,10,18,14];
+    if (seq !== chartSeq) return;
+    if (chartInstance) { chartInstance.destroy(); chartInstance = null; }
+    setChartMessage('Não foi possível carregar o gráfico. Tente novamente em instantes.');
+    return;
+  }
+  if (seq !== chartSeq) return; // período ou agrupamento mudou durante a carga
+  analyticsSnapshot.series = items;
+  if (chartInstance) { chartInstance.destroy(); chartInstance = null; }
+  const hasData = items.some(item => CHART_SERIES.some(s => item[s.key] > 0));
+  if (!hasData) {
+    setChartMessage('Sem dados no período selecionado');
+    return;
   }
+  setChartMessage('');
   chartInstance = new Chart(ctx, {
     type: "line",
     data: {
-      labels: labels,
-      datasets: [
-        {
-          label: "Conversões",
-          data: conversions,
-          borderColor: "#007bff",
-          backgroundColor: "rgba(0, 123, 255, 0.1)",
-          borderWidth: 3,
-          fill: true,
-          tension: 0.4,
-          pointBackgroundColor: "#007bff",
-          pointBorderColor: "#ffffff",
-          pointBorderWidth: 2,
-          pointRadius: 6,
-          pointHoverRadius: 8
-        },
-        {
-          label: "Leads",
-          data: leadsData,
-          borderColor: "#28a745",
-          backgroundColor: "rgba(40, 167, 69, 0.1)",
-          borderWidth: 3,
-          fill: true,
-          tension: 0.4,
-          pointBackgroundColor: "#28a745",
-          pointBorderColor: "#ffffff",
-          pointBorderWidth: 2,
-          pointRadius: 6,
-          pointHoverRadius: 8
-        }
-      ]
+      labels: items.map(item => formatChartLabel(item.t, granularity)),
+      datasets: CHART_SERIES.map(s => ({
+        label: s.label,
+        data: items.map(item => item[s.key]),
+        hidden: chartHiddenSeries.has(s.key),
+        borderColor: s.color,
+        backgroundColor: s.fill,
+        borderWidth: 3,
+        fill: true,
+        tension: 0.4,
+        pointBackgroundColor: s.color,
+        pointBorderColor: "#ffffff",
+        pointBorderWidth: 2,
+        pointRadius: items.length > 60 ? 0 : 4,
+        pointHoverRadius: 6
+      }))
     },
     options: {
       responsive: true,
       maintainAspectRatio: false,
       plugins: {
-        legend: {
-          position: "top",
-          labels: {
-            usePointStyle: true,
-            padding: 20,
-            font: { family: "Inter", size: 12 },
-            color: "#ffffff"
-          }
-        },
+        // As séries são ligadas/desligadas pelos controles acima do gráfico
+        legend: { display: false },
         tooltip: {
           backgroundColor: "rgba(0, 0, 0, 0.8)",
           titleColor: "#ffffff",
@@ -1196,7 +4775,7 @@ async function createPerformanceChart() {
         y: {
           beginAtZero: true,
           grid: { color: "rgba(255, 255, 255, 0.1)" },
-          ticks: { font: { family: "Inter", size: 11 }, color: "#a0a0a0" }
+          ticks: { font: { family: "Inter", size: 11 }, color: "#a0a0a0", precision: 0 }
         }
       },
       interaction: { intersect: false, mode: "index" },
@@ -1205,6 +4784,432 @@ async function createPerformanceChart() {
   });
 }
 
+function setChartGranularity(granularity) {
+  chartGranularity = CHART_GRANULARITIES[granularity] ? granularity : '';
+  createPerformanceChart();
+}
+
+function toggleChartSeries(key, visible) {
+  if (visible) chartHiddenSeries.delete(key);
+  else chartHiddenSeries.add(key);
+  if (!chartInstance) return;
+  const index = CHART_SERIES.findIndex(s => s.key === key);
+  if (index >= 0) {
+    chartInstance.setDatasetVisibility(index, visible);
+    chartInstance.update();
+  }
+}
+
+// Cópia do gráfico com fundo sólido (o canvas do Chart.js é transparente)
+function performanceChartCanvas(background, source = chartInstance && chartInstance.canvas) {
+  if (!source) return null;
+  const out = document.createElement('canvas');
+  out.width = source.width;
+  out.height = source.height;
+  const ctx = out.getContext('2d');
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, out.width, out.height);
+  ctx.drawImage(source, 0, 0);
+  return out;
+}
+
+// PNG com o fundo do painel
+function exportPerformanceChart() {
+  const out = performanceChartCanvas(getComputedStyle(document.documentElement).getPropertyValue('--bg-secondary').trim() || '#2d2d2d');
+  if (!out) return;
+  const period = resolveAnalyticsRange();
+  const name = `performance-${toDateInputValue(period.from)}-a-${toDateInputValue(period.to)}.png`;
+  out.toBlob(blob => { if (blob) downloadFile(name, blob, 'image/png'); }, 'image/png');
+}
+
+// Gráfico do PDF: redesenhado fora da tela com ticks e grade claros, já que
+// os do painel (tema escuro) somem no papel branco. Só as séries visíveis.
+function reportPrintChartImage() {
+  if (!chartInstance) return null;
+  const canvas = document.createElement('canvas');
+  canvas.width = 1000;
+  canvas.height = 360;
+  const ticks = { font: { family: 'Inter', size: 11 }, color: '#555555' };
+  const printChart = new Chart(canvas, {
+    type: 'line',
+    data: {
+      labels: chartInstance.data.labels.slice(),
+      datasets: CHART_SERIES
+        .map((s, i) => ({ s, i }))
+        .filter(({ i }) => chartInstance.isDatasetVisible(i))
+        .map(({ s, i }) => ({
+          label: s.label,
+          data: chartInstance.data.datasets[i].data.slice(),
+          borderColor: s.color,
+          backgroundColor: s.fill,
+          borderWidth: 2,
+          fill: true,
+          tension: 0.4,
+          pointRadius: 0
+        }))
+    },
+    options: {
+      responsive: false,
+      animation: false,
+      devicePixelRatio: 2,
+      plugins: {
+        legend: { labels: { color: '#222222', font: { family: 'Inter', size: 12 } } },
+        tooltip: { enabled: false }
+      },
+      scales: {
+        x: { grid: { display: false }, ticks },
+        y: { beginAtZero: true, grid: { color: 'rgba(0, 0, 0, 0.1)' }, ticks: { ...ticks, precision: 0 } }
+      }
+    }
+  });
+  const url = performanceChartCanvas('#ffffff', printChart.canvas).toDataURL('image/png');
+  printChart.destroy();
+  return url;
+}
+
+// ===== RELATÓRIOS DA ANÁLISE =====
+// Tabelas completas do período, lidas em páginas de REPORT_PAGE_SIZE registros
+const REPORT_PAGE_SIZE = 200;
+// No PDF, as tabelas longas são cortadas (a lista completa vai no CSV/XLSX)
+const REPORT_PRINT_MAX_ROWS = 500;
+const REPORT_WEEKDAYS = ['Domingo', 'Segunda-feira', 'Terça-feira', 'Quarta-feira', 'Quinta-feira', 'Sexta-feira', 'Sábado'];
+const REPORT_FORMATS = { pdf: 'PDF', xlsx: 'Excel (XLSX)', csv: 'CSV' };
+
+// Todas as páginas de uma lista dos cards de métricas no período
+async function fetchAllMetricRecords(modalId, period) {
+  const cfg = METRIC_MODALS[modalId];
+  const items = await fetchAllPages(cfg.endpoint, analyticsParams(period), REPORT_PAGE_SIZE);
+  return items.map(cfg.normalize);
+}
+
+// Nome e logo da seção Empresa (cabeçalho do PDF)
+async function fetchReportCompany() {
+  try {
+    const data = await api.get('/company');
+    return {
+      name: data.nome_fantasia || data.razao_social || data.name || '',
+      logo: resolveProductImage(data.logo_url) || ''
+    };
+  } catch (err) {
+    console.error(err);
+    return { name: '', logo: '' };
+  }
+}
+
+function formatReportBucket(value, granularity) {
+  if (granularity === 'month') return formatChartLabel(value, granularity);
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return String(value);
+  return granularity === 'hour' ? formatMetricDate(value) : d.toLocaleDateString('pt-BR');
+}
+
+/**
+ * Reúne os dados do período selecionado em seções { title, sheet, header, rows }.
+ * No XLSX os valores numéricos seguem como número; nos demais, já formatados.
+ */
+async function buildAnalyticsReport(format) {
+  const period = resolveAnalyticsRange();
+  const granularity = resolveChartGranularity(period);
+  const [summary, previous, top, series, leads, sales, ratings, company] = await Promise.all([
+    fetchAnalyticsSummary(period),
+    fetchAnalyticsSummary(previousAnalyticsRange(period)),
+    fetchTopProducts(period),
+    fetchAnalyticsSeries(period, granularity).catch(err => { console.error(err); return []; }),
+    fetchAllMetricRecords('leads-modal', period),
+    fetchAllMetricRecords('sales-modal', period),
+    fetchAllMetricRecords('satisfaction-modal', period),
+    fetchReportCompany()
+  ]);
+  if (!summary) throw new Error('Resumo do período indisponível.');
+  const xlsx = format === 'xlsx';
+  const prev = previous || {};
+  const number = (v) => (xlsx ? Number(v) || 0 : (Number(v) || 0).toLocaleString('pt-BR'));
+  const percent = (v) => (xlsx ? Number(v) || 0 : `${(Number(v) || 0).toLocaleString('pt-BR', { maximumFractionDigits: 1 })}%`);
+  const money = (v) => (xlsx ? v : centsToReais(Math.round(v * 100)));
+  const change = (cur, old, opts) => {
+    const c = metricChange(cur, old, opts);
+    if (!c) return '';
+    return c.diff ? `${c.diff > 0 ? '+' : '-'}${c.text}` : c.text;
+  };
+  const metric = (label, key, fmt = number, opts = {}) => [
+    label, fmt(summary[key]), previous ? fmt(prev[key]) : '', change(summary[key], prev[key], opts)
+  ];
+  const topProducts = top ? (Array.isArray(top) ? top : (top.items || [])) : [];
+
+  return {
+    company,
+    period,
+    periodLabel: `${period.from.toLocaleDateString('pt-BR')} a ${period.to.toLocaleDateString('pt-BR')}`,
+    generatedAt: new Date(),
+    summary,
+    sections: [
+      {
+        title: 'Resumo', sheet: 'Resumo',
+        header: ['Métrica', 'Período', 'Período anterior', 'Variação'],
+        rows: [
+          metric('Conversas', 'conversations'),
+          metric('Leads', 'leads'),
+          metric('Vendas', 'sales'),
+          metric('Taxa de conversão (%)', 'conversion_rate', percent, { points: true }),
+          metric('Leads recuperados', 'recovered_leads'),
+          ['Melhor horário', summary.best_time_range || '—', '', ''],
+          ['Produto mais falado', (topProducts[0] && (topProducts[0].title || topProducts[0].name)) || summary.top_product || '—', '', '']
+        ]
+      },
+      {
+        title: 'Produtos mais falados', sheet: 'Produtos',
+        header: ['Produto', 'Menções'],
+        rows: topProducts.map(p => [p.title || p.name || '', number(p.count ?? p.mentions ?? p.total)])
+      },
+      {
+        title: `Evolução por ${CHART_GRANULARITIES[granularity].toLowerCase()}`, sheet: 'Série',
+        header: [CHART_GRANULARITIES[granularity], 'Leads', 'Conversas', 'Vendas'],
+        rows: series.map(p => [formatReportBucket(p.t, granularity), number(p.leads), number(p.conversations), number(p.sales)])
+      },
+      {
+        title: 'Leads', sheet: 'Leads',
+        header: ['Nome', 'Telefone', 'Última mensagem', 'Etapa'],
+        rows: leads.map(l => [l.name, phone.format(l.phone), formatMetricDate(l.lastMessageDate), l.category])
+      },
+      {
+        title: 'Vendas', sheet: 'Vendas',
+        header: ['Cliente', 'Telefone', 'Produto', 'Valor (R$)', 'Data'],
+        rows: sales.map(s => [s.customer, phone.format(s.phone), s.product, money(s.value), formatMetricDate(s.date)])
+      },
+      {
+        title: 'Avaliações', sheet: 'Avaliações',
+        header: ['ID', 'Nota', 'Comentário', 'Telefone', 'Data'],
+        rows: ratings.map(r => [r.id, xlsx ? r.rating : `${r.rating}/5`, r.comment, phone.format(r.phone), formatMetricDate(r.date)])
+      }
+    ]
+  };
+}
+
+function reportHeaderRows(report) {
+  return [
+    ['Relatório de performance', report.company.name],
+    ['Período', report.periodLabel],
+    ['Gerado em', report.generatedAt.toLocaleString('pt-BR')]
+  ];
+}
+
+function reportCsv(report) {
+  const rows = reportHeaderRows(report).concat([[]]);
+  report.sections.forEach(sec => {
+    rows.push([sec.title], sec.header, ...sec.rows, []);
+  });
+  return toCsv(rows);
+}
+
+function reportWorkbook(report) {
+  const wb = XLSX.utils.book_new();
+  report.sections.forEach((sec, i) => {
+    const head = i === 0 ? reportHeaderRows(report).concat([[]]) : [];
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(head.concat([sec.header], sec.rows)), sec.sheet);
+  });
+  return wb;
+}
+
+// Documento HTML com a identidade da empresa, pronto para imprimir/salvar em PDF
+function reportPrintHtml(report) {
+  const { company, summary } = report;
+  const title = `Relatório de performance${company.name ? ` — ${company.name}` : ''}`;
+  const chart = reportPrintChartImage();
+  const cards = [
+    ['Conversas', Number(summary.conversations || 0).toLocaleString('pt-BR')],
+    ['Leads', Number(summary.leads || 0).toLocaleString('pt-BR')],
+    ['Vendas', Number(summary.sales || 0).toLocaleString('pt-BR')],
+    ['Conversão', `${(Number(summary.conversion_rate) || 0).toLocaleString('pt-BR', { maximumFractionDigits: 1 })}%`]
+  ];
+  const table = (sec) => {
+    if (!sec.rows.length) return '<p class="muted">Sem registros no período.</p>';
+    const rows = sec.rows.slice(0, REPORT_PRINT_MAX_ROWS);
+    const more = sec.rows.length - rows.length;
+    return `<table>
+      <thead><tr>${sec.header.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>
+      <tbody>${rows.map(r => `<tr>${r.map(v => `<td>${escapeHtml(v)}</td>`).join('')}</tr>`).join('')}</tbody>
+    </table>${more > 0 ? `<p class="muted">+ ${more.toLocaleString('pt-BR')} registros. A lista completa está na exportação em CSV ou XLSX.</p>` : ''}`;
+  };
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: 'Source Sans Pro', Arial, sans-serif; color: #222; margin: 24px; font-size: 12px; }
+  header { display: flex; align-items: center; gap: 16px; border-bottom: 3px solid #007bff; padding-bottom: 12px; margin-bottom: 16px; }
+  header img { max-height: 56px; max-width: 160px; object-fit: contain; }
+  h1 { font-size: 20px; margin: 0; }
+  h2 { font-size: 15px; margin: 24px 0 8px; color: #007bff; }
+  .muted { color: #777; }
+  .cards { display: flex; gap: 12px; margin-bottom: 8px; }
+  .card { flex: 1; border: 1px solid #ddd; border-radius: 6px; padding: 10px; text-align: center; }
+  .card strong { display: block; font-size: 20px; }
+  .chart { width: 100%; border: 1px solid #eee; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { border: 1px solid #ddd; padding: 4px 6px; text-align: left; vertical-align: top; }
+  th { background: #f2f6fb; }
+  tr { page-break-inside: avoid; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<header>
+  ${company.logo ? `<img src="${escapeHtml(company.logo)}" alt="">` : ''}
+  <div>
+    <h1>${escapeHtml(title)}</h1>
+    <div class="muted">Período: ${escapeHtml(report.periodLabel)} · Gerado em ${escapeHtml(report.generatedAt.toLocaleString('pt-BR'))}</div>
+  </div>
+</header>
+<div class="cards">${cards.map(([label, value]) => `<div class="card"><strong>${escapeHtml(value)}</strong>${escapeHtml(label)}</div>`).join('')}</div>
+${chart ? `<h2>Desempenho no período</h2><img class="chart" src="${chart}" alt="">` : ''}
+${report.sections.map(sec => `<h2>${escapeHtml(sec.title)}</h2>${table(sec)}`).join('\n')}
+<script>window.addEventListener('load', function () { setTimeout(function () { window.print(); }, 300); });<\/script>
+</body>
+</html>`;
+}
+
+async function exportAnalyticsReport(format = 'csv') {
+  if (format === 'xlsx' && typeof XLSX === 'undefined') {
+    showNotification('Gerador de Excel indisponível. Exporte em CSV.', 'danger');
+    return;
+  }
+  // A janela do PDF abre ainda no clique; depois da carga o navegador bloquearia o pop-up
+  const win = format === 'pdf' ? window.open('', '_blank') : null;
+  if (format === 'pdf') {
+    if (!win) {
+      showNotification('Libere os pop-ups deste site para gerar o PDF.', 'warning');
+      return;
+    }
+    win.document.write('<p style="font-family:sans-serif">Gerando relatório...</p>');
+  }
+  const btn = document.getElementById('analytics-report-btn');
+  if (btn) btn.disabled = true;
+  let report;
+  try {
+    report = await buildAnalyticsReport(format);
+  } catch (err) {
+    console.error(err);
+    if (win) win.close();
+    showNotification('Não foi possível gerar o relatório.', 'danger');
+    return;
+  } finally {
+    if (btn) btn.disabled = false;
+  }
+  const name = `relatorio-${toDateInputValue(report.period.from)}-a-${toDateInputValue(report.period.to)}`;
+  if (format === 'pdf') {
+    win.document.open();
+    win.document.write(reportPrintHtml(report));
+    win.document.close();
+    win.focus();
+  } else if (format === 'xlsx') {
+    XLSX.writeFile(reportWorkbook(report), `${name}.xlsx`);
+  } else {
+    downloadFile(`${name}.csv`, reportCsv(report));
+  }
+}
+
+// ==== Envio semanal por e-mail (agendado no backend) ====
+function parseReportRecipients(value) {
+  return String(value || '').split(/[\s,;]+/).map(s => s.trim()).filter(Boolean);
+}
+
+function fillReportSchedule(data = {}) {
+  const set = (id, val) => { const el = document.getElementById(id); if (el) el.value = val; };
+  const enabled = document.getElementById('report-schedule-enabled');
+  if (enabled) enabled.checked = !!data.enabled;
+  set('report-schedule-recipients', (data.recipients || []).join('\n'));
+  set('report-schedule-weekday', String(data.weekday ?? 1));
+  set('report-schedule-time', data.time || '08:00');
+  set('report-schedule-format', REPORT_FORMATS[data.format] ? data.format : 'pdf');
+  const status = document.getElementById('report-schedule-status');
+  if (status) {
+    status.textContent = data.last_sent_at
+      ? `Último envio: ${formatMetricDate(data.last_sent_at)}`
+      : 'Nenhum envio realizado ainda.';
+  }
+}
+
+async function loadReportSchedule() {
+  fillReportSchedule();
+  try {
+    fillReportSchedule(await api.get('/analytics/report-schedule') || {});
+  } catch (err) {
+    if (err.status === 404) return; // ainda não configurado
+    console.error(err);
+    showNotification('Não foi possível carregar o agendamento do relatório.', 'danger');
+  }
+}
+
+// Lê e valida o formulário do agendamento (null se inválido)
+function readReportScheduleForm() {
+  const getVal = (id) => { const el = document.getElementById(id); return el ? el.value.trim() : ''; };
+  const recipients = parseReportRecipients(getVal('report-schedule-recipients'));
+  const invalid = recipients.filter(email => !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email));
+  const enabled = !!document.getElementById('report-schedule-enabled')?.checked;
+  if (invalid.length) {
+    showNotification(`E-mail inválido: ${escapeHtml(invalid.join(', '))}`, 'warning');
+    return null;
+  }
+  if (enabled && !recipients.length) {
+    showNotification('Informe ao menos um destinatário.', 'warning');
+    return null;
+  }
+  return {
+    enabled,
+    recipients,
+    weekday: Number(getVal('report-schedule-weekday')) || 0,
+    time: getVal('report-schedule-time') || '08:00',
+    format: getVal('report-schedule-format') || 'pdf',
+    timezone: userTimeZone()
+  };
+}
+
+async function saveReportSchedule() {
+  const payload = readReportScheduleForm();
+  if (!payload) return;
+  const btn = document.getElementById('report-schedule-save-btn');
+  if (btn) btn.disabled = true;
+  try {
+    fillReportSchedule(await api.put('/analytics/report-schedule', payload) || payload);
+    showNotification(payload.enabled
+      ? `Relatório agendado: toda ${REPORT_WEEKDAYS[payload.weekday].toLowerCase()} às ${payload.time}.`
+      : 'Envio semanal desativado.', 'success');
+  } catch (err) {
+    console.error(err);
+    showNotification(err.message || 'Não foi possível salvar o agendamento.', 'danger');
+  } finally {
+    if (btn) btn.disabled = false;
+  }
+}
+
+// Envia agora o relatório do período selecionado para os destinatários do formulário
+async function sendReportNow() {
+  const form = readReportScheduleForm();
+  if (!form) return;
+  if (!form.recipients.length) {
+    showNotification('Informe ao menos um destinatário.', 'warning');
+    return;
+  }
+  const btn = document.getElementById('report-schedule-send-btn');
+  if (btn) btn.disabled = true;
+  try {
+    const period = resolveAnalyticsRange();
+    await api.post('/analytics/report-schedule/send', {
+      recipients: form.recipients,
+      format: form.format,
+      from: period.from.toISOString(),
+      to: period.to.toISOString()
+    });
+    showNotification(`Relatório enviado para ${form.recipients.length} destinatário(s).`, 'success');
+  } catch (err) {
+    console.error(err);
+    showNotification(err.message || 'Não foi possível enviar o relatório.', 'danger');
+  } finally {
+    if (btn) btn.disabled = false;
+  }
+}
+
 // ===== INICIALIZAÇÃO =====
 document.addEventListener('DOMContentLoaded', function() {
   loadAgentConfig();
@@ -1228,6 +5233,7 @@ document.addEventListener('DOMContentLoaded', function() {
   restoreWhatsAppInstance();
 
   fetchProducts();
+  loadProductCategories();
   loadAnalytics();
   console.log('Sistema Helsen IA inicializado com sucesso!');
 });
@@ -1275,9 +5281,7 @@ function loadAgentConfig() {
 // (NOVO) Busca config do backend e atualiza formulário/localStorage
 async function loadAgentConfigFromBackend() {
   try {
-    const res = await fetch(`${BACKEND_BASE}/api/agent-config`, { headers: defaultHeaders });
-    if (!res.ok) return;
-    const data = await res.json();
+    const data = await api.get('/agent-config');
     const form = document.getElementById("agent-config-form");
     if (form) {
       if (typeof data.name === 'string') form.querySelector("#agent-name").value = data.name || "";
@@ -1303,25 +5307,17 @@ async function loadAgentConfigFromBackend() {
 // (NOVO) Envia PUT /api/agent-config
 async function persistAgentConfigToBackend(config) {
   try {
-    const res = await fetch(`${BACKEND_BASE}/api/agent-config`, {
-      method: 'PUT',
-      headers: defaultHeaders,
-      body: JSON.stringify({
-        name: config.name || '',
-        communicationStyle: config.communicationStyle || '',
-        sector: config.sector || '',
-        profileType: config.profileType || '',
-        profileCustom: config.profileCustom || '',
-        basePrompt: '' // opcional; deixar vazio aqui para usar default do servidor
-      })
+    await api.put('/agent-config', {
+      name: config.name || '',
+      communicationStyle: config.communicationStyle || '',
+      sector: config.sector || '',
+      profileType: config.profileType || '',
+      profileCustom: config.profileCustom || '',
+      basePrompt: '' // opcional; deixar vazio aqui para usar default do servidor
     });
-    // Não interrompe UX se falhar
-    if (!res.ok) {
-      const t = await res.text().catch(() => '');
-      console.warn('persistAgentConfigToBackend falhou:', res.status, t);
-    }
   } catch (e) {
-    console.warn('persistAgentConfigToBackend erro:', e);
+    // Não interrompe UX se falhar
+    console.warn('persistAgentConfigToBackend falhou:', e.status, e.detail || e.message);
   }
 }
 
@@ -1493,48 +5489,17 @@ class Chatbot {
         this.hideAttachmentPreview();
         await this.sendImageFile(fileToSend);
       } else {
-        const dynHeaders = (() => {
-          let orgId = '1';
-          let flowId = '1';
-          let authHeader;
-          try {
-            const storedOrg = localStorage.getItem('org_id');
-            const storedFlow = localStorage.getItem('flow_id');
-            const token = localStorage.getItem('token');
-            if (storedOrg) orgId = storedOrg;
-            if (storedFlow) flowId = storedFlow;
-            if (token) authHeader = `Bearer ${token}`;
-          } catch (_) {}
-          const h = { 'Content-Type': 'application/json', 'X-Org-ID': orgId, 'X-Flow-ID': flowId };
-          if (authHeader) h['Authorization'] = authHeader;
-
-          // (AJUSTE) inclui instância no chat se disponível
-          try {
-            const inst = localStorage.getItem('wa_instance');
-            const instTok = localStorage.getItem('wa_token');
-            if (inst) h['X-Instance-ID'] = inst;
-            if (instTok) h['X-Instance-Token'] = instTok;
-          } catch (_) {}
-
-          return h;
-        })();
-
         const normalizedHistory = this.history
           .slice(-this.maxHistory)
           .map(({ role, content }) => ({ role, content }));
 
-        const response = await fetch(this.webhookUrl, {
-          method: 'POST',
-          headers: dynHeaders,
-          body: JSON.stringify({
-            message,
-            history: normalizedHistory,
-            sessionId: this.sessionId,
-            timestamp: new Date().toISOString()
-          })
-        });
-        if (!response.ok) throw new Error('Erro na resposta do servidor');
-        const data = await response.json();
+        // (AJUSTE) o cliente inclui a instância no chat se disponível
+        const data = await api.post(this.webhookUrl, {
+          message,
+          history: normalizedHistory,
+          sessionId: this.sessionId,
+          timestamp: new Date().toISOString()
+        }, { timeout: 60000 });
 
         this.hideTypingIndicator();
 
@@ -1600,35 +5565,8 @@ class Chatbot {
       fd.append('sessionId', this.sessionId);
       fd.append('history', JSON.stringify(this.history.slice(-this.maxHistory)));
 
-      const dynHeaders = (() => {
-        let orgId = '1';
-        let flowId = '1';
-        let authHeader;
-        try {
-          const storedOrg = localStorage.getItem('org_id');
-          const storedFlow = localStorage.getItem('flow_id');
-          const token = localStorage.getItem('token');
-          if (storedOrg) orgId = storedOrg;
-          if (storedFlow) flowId = storedFlow;
-          if (token) authHeader = `Bearer ${token}`;
-        } catch (_) {}
-        const h = { 'X-Org-ID': orgId, 'X-Flow-ID': flowId };
-        if (authHeader) h['Authorization'] = authHeader;
-
-        // (AJUSTE) inclui instância também no upload de visão
-        try {
-          const inst = localStorage.getItem('wa_instance');
-          const instTok = localStorage.getItem('wa_token');
-          if (inst) h['X-Instance-ID'] = inst;
-          if (instTok) h['X-Instance-Token'] = instTok;
-        } catch (_) {}
-
-        return h;
-      })();
-
-      const resp = await fetch(VISION_UPLOAD_URL, { method: 'POST', headers: dynHeaders, body: fd });
-      if (!resp.ok) throw new Error('HTTP ' + resp.status);
-      const data = await resp.json();
+      // (AJUSTE) o cliente inclui a instância também no upload de visão
+      const data = await api.post(VISION_UPLOAD_URL, fd, { timeout: 60000 });
 
       this.hideTypingIndicator();
 
@@ -1709,23 +5647,432 @@ document.addEventListener('DOMContentLoaded', function() {
   if (webhookBtn) webhookBtn.addEventListener('click', setWhatsAppWebhook);
   const sendTestBtn = document.getElementById('wa-send-test-btn');
   if (sendTestBtn) sendTestBtn.addEventListener('click', sendWhatsAppTest);
+  // Painel de envio: campos por tipo, modelos e pré-visualização ao vivo
+  const sendType = document.getElementById('wa-send-type');
+  if (sendType) sendType.addEventListener('change', updateWhatsAppSendFields);
+  const leadInput = document.getElementById('wa-send-lead');
+  if (leadInput) {
+    leadInput.addEventListener('focus', () => { if (!waLeadOptions.length) searchWhatsAppLeads(''); });
+    leadInput.addEventListener('input', () => {
+      if (waLeadOptions.some(l => waLeadLabel(l) === leadInput.value)) applyWhatsAppLead();
+      else searchWhatsAppLeads(leadInput.value.trim());
+    });
+  }
+  const templateSelect = document.getElementById('wa-template-select');
+  if (templateSelect) templateSelect.addEventListener('change', applyWhatsAppTemplate);
+  const templateSave = document.getElementById('wa-template-save-btn');
+  if (templateSave) templateSave.addEventListener('click', saveWhatsAppTemplate);
+  const templateDelete = document.getElementById('wa-template-delete-btn');
+  if (templateDelete) templateDelete.addEventListener('click', deleteWhatsAppTemplate);
+  ['wa-test-message', 'wa-test-number', 'wa-send-name', 'wa-send-product', 'wa-send-file', 'wa-send-lat', 'wa-send-lng', 'wa-send-location-name']
+    .forEach(id => {
+      const el = document.getElementById(id);
+      if (el) el.addEventListener(el.tagName === 'SELECT' || el.type === 'file' ? 'change' : 'input', renderWhatsAppSendPreview);
+    });
+  updateWhatsAppSendFields();
+  // Números digitados já saem no formato do WhatsApp
+  phone.attach(document.getElementById('wa-test-number'), { output: 'whatsapp' });
+  phone.attach(document.getElementById('wa-pair-phone'), { output: 'whatsapp' });
+  // Conexão: QR com validade ou código de pareamento
+  const modeQr = document.getElementById('wa-connect-mode-qr');
+  if (modeQr) modeQr.addEventListener('click', () => setWhatsAppConnectMode('qr'));
+  const modeCode = document.getElementById('wa-connect-mode-code');
+  if (modeCode) modeCode.addEventListener('click', () => setWhatsAppConnectMode('code'));
+  const qrRefresh = document.getElementById('wa-qr-refresh-btn');
+  if (qrRefresh) qrRefresh.addEventListener('click', () => {
+    waQrAutoRefreshes = 0;
+    regenerateWhatsAppQr();
+  });
+  const pairBtn = document.getElementById('wa-pair-btn');
+  if (pairBtn) pairBtn.addEventListener('click', requestWhatsAppPairingCode);
+  const campaignLeads = document.getElementById('wa-campaign-load-leads-btn');
+  if (campaignLeads) campaignLeads.addEventListener('click', loadWhatsAppCampaignLeads);
+  const campaignCsv = document.getElementById('wa-campaign-csv');
+  if (campaignCsv) campaignCsv.addEventListener('change', () => {
+    importWhatsAppCampaignCsv(campaignCsv.files[0]).catch(err => {
+      console.error(err);
+      alert('Não foi possível ler o CSV.');
+    });
+    campaignCsv.value = '';
+  });
+  const campaignStart = document.getElementById('wa-campaign-start-btn');
+  if (campaignStart) campaignStart.addEventListener('click', startWhatsAppCampaign);
+  const campaignPause = document.getElementById('wa-campaign-pause-btn');
+  if (campaignPause) campaignPause.addEventListener('click', toggleWhatsAppCampaignPause);
+  const campaignCancel = document.getElementById('wa-campaign-cancel-btn');
+  if (campaignCancel) campaignCancel.addEventListener('click', cancelWhatsAppCampaign);
+  // Conversas
+  const inboxList = document.getElementById('inbox-list');
+  if (inboxList) inboxList.addEventListener('click', (e) => {
+    const item = e.target.closest('[data-conversation-id]');
+    if (item) openInboxConversation(item.dataset.conversationId);
+  });
+  const inboxThread = document.getElementById('inbox-thread');
+  if (inboxThread) inboxThread.addEventListener('click', (e) => {
+    if (e.target.closest('[data-inbox-older]')) loadInboxMessages(true);
+  });
+  const inboxSearch = document.getElementById('inbox-search');
+  if (inboxSearch) inboxSearch.addEventListener('input', () => {
+    clearTimeout(inboxSearchTimer);
+    inboxSearchTimer = setTimeout(loadInboxConversations, 300);
+  });
+  const inboxFilter = document.getElementById('inbox-filter');
+  if (inboxFilter) inboxFilter.addEventListener('change', loadInboxConversations);
+  const inboxToggle = document.getElementById('inbox-agent-paused');
+  if (inboxToggle) inboxToggle.addEventListener('change', () => setInboxAgentPaused(inboxToggle.checked));
+  const inboxSend = document.getElementById('inbox-send-btn');
+  if (inboxSend) inboxSend.addEventListener('click', sendInboxReply);
+  const inboxReply = document.getElementById('inbox-reply');
+  if (inboxReply) inboxReply.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      sendInboxReply();
+    }
+  });
+  renderInboxThread();
+  restoreWhatsAppCampaign();
+  const refreshBtn = document.getElementById('wa-refresh-instances-btn');
+  if (refreshBtn) refreshBtn.addEventListener('click', loadWhatsAppInstances);
+  // Ações da lista de instâncias (delegadas, pois as linhas são recriadas)
+  const list = document.getElementById('wa-instances-list');
+  if (list) list.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-wa-action]');
+    if (!btn) return;
+    const { waAction, waId } = btn.dataset;
+    if (waAction === 'select') selectWhatsAppInstance(waId);
+    else if (waAction === 'rename') renameWhatsAppInstance(waId);
+    else if (waAction === 'delete') deleteWhatsAppInstance(waId);
+    else runWhatsAppInstanceAction(waId, waAction);
+  });
+
+  // Log de entregas do webhook: filtro, paginação, expandir JSON e replay
+  const deliveriesEvent = document.getElementById('wa-deliveries-event');
+  if (deliveriesEvent) deliveriesEvent.addEventListener('change', () => loadWebhookDeliveries());
+  const deliveriesRefresh = document.getElementById('wa-deliveries-refresh-btn');
+  if (deliveriesRefresh) deliveriesRefresh.addEventListener('click', () => loadWebhookDeliveries());
+  const deliveriesMore = document.getElementById('wa-deliveries-more-btn');
+  if (deliveriesMore) deliveriesMore.addEventListener('click', () => loadWebhookDeliveries(true));
+  const deliveries = document.getElementById('wa-deliveries-list');
+  if (deliveries) deliveries.addEventListener('click', (e) => {
+    const replay = e.target.closest('[data-delivery-replay]');
+    if (replay) { replayWebhookDelivery(replay.dataset.deliveryReplay); return; }
+    const row = e.target.closest('[data-delivery-id]');
+    if (!row) return;
+    const detail = deliveries.querySelector(`[data-delivery-detail="${CSS.escape(row.dataset.deliveryId)}"]`);
+    const open = detail && detail.style.display === 'none';
+    if (detail) detail.style.display = open ? '' : 'none';
+    const caret = row.querySelector('.wa-delivery-caret');
+    if (caret) caret.className = `fas fa-chevron-${open ? 'down' : 'right'} mr-1 wa-delivery-caret`;
+  });
+});
+
+// ==== Seletor de organização ====
+document.addEventListener('DOMContentLoaded', function() {
+  renderOrgSwitcher().catch(err => console.error(err));
+  const select = document.getElementById('org-switcher');
+  if (select) select.addEventListener('change', () => switchOrganization(select.value));
+});
+
+// ==== Controles de Segurança (2FA) ====
+document.addEventListener('DOMContentLoaded', function() {
+  const enrollBtn = document.getElementById('mfa-enroll-btn');
+  if (enrollBtn) enrollBtn.addEventListener('click', startMfaEnrollment);
+  const verifyBtn = document.getElementById('mfa-verify-btn');
+  if (verifyBtn) verifyBtn.addEventListener('click', confirmMfaEnrollment);
+  const disableBtn = document.getElementById('mfa-disable-btn');
+  if (disableBtn) disableBtn.addEventListener('click', disableMfa);
 });
 
 /* =========================================================
    (INCREMENTOS) Qualidade de Vida e Robustez
    ========================================================= */
 
+// ==== Funil de leads (instância e clique na etapa) ====
+document.addEventListener('DOMContentLoaded', () => {
+  const instance = document.getElementById('funnel-instance');
+  if (instance) instance.addEventListener('change', () => {
+    funnelInstance = instance.value;
+    loadLeadFunnel();
+  });
+  const funnel = document.getElementById('lead-funnel');
+  if (funnel) funnel.addEventListener('click', (e) => {
+    const stage = e.target.closest('[data-funnel-stage]');
+    if (stage) openMetricModal('leads-modal', { reachedStage: stage.dataset.funnelStage, instance: funnelInstance });
+  });
+});
+
+// ==== Gráfico de performance (agrupamento, séries e PNG) ====
+document.addEventListener('DOMContentLoaded', () => {
+  document.querySelectorAll('[data-chart-granularity]').forEach(btn => {
+    btn.addEventListener('click', () => setChartGranularity(btn.dataset.chartGranularity));
+  });
+  document.querySelectorAll('[data-chart-series]').forEach(input => {
+    input.addEventListener('change', () => toggleChartSeries(input.dataset.chartSeries, input.checked));
+  });
+  const exportBtn = document.getElementById('performance-chart-export-btn');
+  if (exportBtn) exportBtn.addEventListener('click', exportPerformanceChart);
+});
+
+// ==== Modais de métricas (período, paginação e abrir registro) ====
+document.addEventListener('DOMContentLoaded', () => {
+  Object.keys(METRIC_MODALS).forEach(modalId => {
+    const prefix = metricPrefix(modalId);
+    [`${prefix}-from`, `${prefix}-to`].forEach(id => {
+      const input = document.getElementById(id);
+      if (input) input.addEventListener('change', () => {
+        metricModal.modalId = modalId;
+        metricModal.page = 1;
+        loadMetricModal();
+      });
+    });
+    const chips = document.getElementById(`${prefix}-active-filters`);
+    if (chips) chips.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-metric-clear]');
+      if (!btn) return;
+      metricModal[btn.dataset.metricClear] = '';
+      metricModal.page = 1;
+      renderMetricFilterChips();
+      loadMetricModal();
+    });
+    const pagination = document.getElementById(`${prefix}-pagination`);
+    if (pagination) pagination.addEventListener('click', (e) => {
+      const link = e.target.closest('[data-metric-page]');
+      if (!link) return;
+      e.preventDefault();
+      if (link.parentElement.classList.contains('disabled')) return;
+      metricModal.page = parseInt(link.dataset.metricPage, 10);
+      loadMetricModal();
+    });
+    const body = document.getElementById(`${prefix}-table-body`);
+    if (body) body.addEventListener('click', (e) => {
+      const row = e.target.closest('[data-metric-index]');
+      const item = row && metricModal.items[Number(row.dataset.metricIndex)];
+      if (item) openMetricRecord(item);
+    });
+  });
+});
+
+// ==== Período da análise (atalhos e intervalo personalizado) ====
+document.addEventListener('DOMContentLoaded', () => {
+  renderAnalyticsRangePicker();
+  document.querySelectorAll('[data-analytics-preset]').forEach(btn => {
+    btn.addEventListener('click', () => selectAnalyticsPreset(btn.dataset.analyticsPreset));
+  });
+  const applyBtn = document.getElementById('analytics-apply-btn');
+  if (applyBtn) applyBtn.addEventListener('click', applyAnalyticsCustomRange);
+});
+
+// ==== Lista de produtos: busca, filtros, ordenação e paginação ====
+document.addEventListener('DOMContentLoaded', () => {
+  renderProductToolbar();
+  const search = document.getElementById('product-search');
+  if (search) search.addEventListener('input', () => {
+    clearTimeout(productSearchTimer);
+    productSearchTimer = setTimeout(() => setProductQuery({ q: search.value.trim() }), 350);
+  });
+  const category = document.getElementById('product-filter-category');
+  if (category) category.addEventListener('change', () => setProductQuery({ category: category.value }));
+  const status = document.getElementById('product-filter-status');
+  if (status) status.addEventListener('change', () => setProductQuery({ status: status.value }));
+  const pageSize = document.getElementById('product-page-size');
+  if (pageSize) pageSize.addEventListener('change', () => setProductQuery({ pageSize: parseInt(pageSize.value, 10) }));
+  document.querySelectorAll('[data-product-sort]').forEach(th => {
+    th.addEventListener('click', () => toggleProductSort(th.dataset.productSort));
+  });
+  const list = document.getElementById('product-list');
+  if (list) list.addEventListener('change', (e) => {
+    const box = e.target.closest('[data-product-select]');
+    if (!box) return;
+    setProductSelected(Number(box.dataset.productSelect) || box.dataset.productSelect, box.checked);
+    box.closest('tr').classList.toggle('table-active', box.checked);
+    renderProductBulkBar();
+  });
+  const selectAll = document.getElementById('product-select-all');
+  if (selectAll) selectAll.addEventListener('change', () => toggleAllProductsSelection(selectAll.checked));
+  const bulkActions = {
+    'product-bulk-activate': () => bulkSetProductStatus('active'),
+    'product-bulk-deactivate': () => bulkSetProductStatus('inactive'),
+    'product-bulk-category-btn': bulkSetProductCategory,
+    'product-bulk-delete': bulkDeleteProducts,
+    'product-bulk-clear': clearProductSelection
+  };
+  Object.entries(bulkActions).forEach(([id, fn]) => {
+    const btn = document.getElementById(id);
+    if (btn) btn.addEventListener('click', fn);
+  });
+  // Slug do modal de edição acompanha o nome até ser editado à mão
+  const editName = document.getElementById('edit-product-name');
+  const editSlug = document.getElementById('edit-product-slug');
+  if (editName && editSlug) {
+    editName.addEventListener('input', () => {
+      if (editSlug.dataset.auto === '1') editSlug.value = slugify(editName.value);
+    });
+    editSlug.addEventListener('input', () => { editSlug.dataset.auto = editSlug.value ? '0' : '1'; });
+    editSlug.addEventListener('blur', () => { editSlug.value = slugify(editSlug.value || editName.value); });
+  }
+  const pagination = document.getElementById('product-pagination');
+  if (pagination) pagination.addEventListener('click', (e) => {
+    const link = e.target.closest('[data-product-page]');
+    if (!link) return;
+    e.preventDefault();
+    if (link.parentElement.classList.contains('disabled')) return;
+    setProductQuery({ page: parseInt(link.dataset.productPage, 10) });
+  });
+});
+
+// ==== Editores de variações (remover linha e recalcular o estoque) ====
+document.addEventListener('DOMContentLoaded', () => {
+  document.querySelectorAll('.variant-editor').forEach(box => {
+    box.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-variant-remove]');
+      if (!btn) return;
+      btn.closest('.variant-row').remove();
+      syncVariantStockInput(box);
+    });
+    box.addEventListener('input', (e) => {
+      if (e.target.matches('[data-variant="stock"]')) syncVariantStockInput(box);
+    });
+  });
+});
+
+// ==== Galerias de imagens (arquivos, capa, remoção e arrastar para reordenar) ====
+document.addEventListener('DOMContentLoaded', () => {
+  document.querySelectorAll('.product-gallery').forEach(box => {
+    const id = box.id;
+    const g = getProductGallery(id);
+    renderProductGallery(id);
+    const input = document.getElementById(box.dataset.fileInput);
+    if (input) input.addEventListener('change', () => {
+      addProductGalleryFiles(id, input.files);
+      input.value = '';
+    });
+    box.addEventListener('click', (e) => {
+      const tile = e.target.closest('[data-gallery-key]');
+      if (!tile || g.uploading) return;
+      if (e.target.closest('[data-gallery-remove]')) removeProductGalleryItem(id, tile.dataset.galleryKey);
+      else if (e.target.closest('[data-gallery-cover]')) {
+        g.coverKey = tile.dataset.galleryKey;
+        renderProductGallery(id);
+      }
+    });
+    box.addEventListener('dragstart', (e) => {
+      const tile = e.target.closest('[data-gallery-key]');
+      if (!tile || g.uploading) { e.preventDefault(); return; }
+      g.dragKey = tile.dataset.galleryKey;
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', g.dragKey);
+    });
+    box.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      box.classList.add('is-dragover');
+    });
+    box.addEventListener('dragleave', (e) => {
+      if (!box.contains(e.relatedTarget)) box.classList.remove('is-dragover');
+    });
+    box.addEventListener('drop', (e) => {
+      e.preventDefault();
+      box.classList.remove('is-dragover');
+      if (g.dragKey) {
+        const target = e.target.closest('[data-gallery-key]');
+        if (target) moveProductGalleryItem(id, g.dragKey, target.dataset.galleryKey);
+      } else if (e.dataTransfer.files.length) {
+        addProductGalleryFiles(id, e.dataTransfer.files);
+      }
+      g.dragKey = null;
+    });
+    box.addEventListener('dragend', () => { g.dragKey = null; });
+  });
+});
+
+// ==== Gerenciador de categorias ====
+document.addEventListener('DOMContentLoaded', () => {
+  const modal = document.getElementById('categoriesModal');
+  if (!modal) return;
+  modal.addEventListener('show.bs.modal', () => {
+    closeCategoryDelete();
+    resetCategoryForm();
+    loadProductCategories();
+  });
+  const actions = {
+    'category-save-btn': saveCategory,
+    'category-cancel-btn': resetCategoryForm,
+    'category-delete-confirm-btn': confirmCategoryDelete,
+    'category-delete-cancel-btn': closeCategoryDelete
+  };
+  Object.entries(actions).forEach(([id, fn]) => {
+    const btn = document.getElementById(id);
+    if (btn) btn.addEventListener('click', fn);
+  });
+  const name = document.getElementById('category-name');
+  if (name) name.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') { e.preventDefault(); saveCategory(); }
+  });
+  const list = document.getElementById('category-list');
+  if (list) list.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-category-action]');
+    if (!btn) return;
+    const id = btn.closest('[data-category-id]').dataset.categoryId;
+    const action = btn.dataset.categoryAction;
+    if (action === 'up') moveCategory(id, -1);
+    else if (action === 'down') moveCategory(id, 1);
+    else if (action === 'edit') editCategory(id);
+    else if (action === 'delete') openCategoryDelete(id);
+  });
+});
+
+// ==== Agendamento do relatório semanal ====
+document.addEventListener('DOMContentLoaded', () => {
+  const modal = document.getElementById('reportScheduleModal');
+  if (!modal) return;
+  modal.addEventListener('show.bs.modal', loadReportSchedule);
+  const actions = {
+    'report-schedule-save-btn': saveReportSchedule,
+    'report-schedule-send-btn': sendReportNow
+  };
+  Object.entries(actions).forEach(([id, fn]) => {
+    const btn = document.getElementById(id);
+    if (btn) btn.addEventListener('click', fn);
+  });
+});
+
+// ==== Assistente de importação de produtos ====
+document.addEventListener('DOMContentLoaded', () => {
+  const modal = document.getElementById('importProductsModal');
+  if (!modal) return;
+  modal.addEventListener('show.bs.modal', resetProductImport);
+  const fileInput = document.getElementById('product-import-file');
+  if (fileInput) fileInput.addEventListener('change', () => loadProductImportFile(fileInput.files[0]));
+  const backBtn = document.getElementById('product-import-back-btn');
+  if (backBtn) backBtn.addEventListener('click', () => {
+    const inPreview = document.getElementById('product-import-step-preview')?.style.display !== 'none';
+    if (inPreview) showProductImportStep('map');
+    else resetProductImport();
+  });
+  const actions = {
+    'product-import-next-btn': goToProductImportPreview,
+    'product-import-dry-btn': dryRunProductImport,
+    'product-import-run-btn': runProductImport,
+    'product-import-errors-btn': downloadProductImportErrors
+  };
+  Object.entries(actions).forEach(([id, fn]) => {
+    const btn = document.getElementById(id);
+    if (btn) btn.addEventListener('click', fn);
+  });
+});
+
 // Deep-link simples por caminho (ex.: /analise, /empresa etc)
 document.addEventListener('DOMContentLoaded', () => {
   const path = (location.pathname || '').toLowerCase();
   const routeToSection = {
     '/analise': 'analysis',
+    '/conversas': 'inbox',
     '/agente': 'agent-config',
     '/produtos': 'products',
     '/pagamentos': 'payments',
     '/empresa': 'company',
     '/usuarios': 'users',
-    '/whatsapp': 'wa'
+    '/whatsapp': 'wa',
+    '/seguranca': 'security'
   };
   const sec = routeToSection[path];
   if (sec) {
@@ -1733,20 +6080,23 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 });
 
-// Pausa polling de status quando a aba estiver oculta
+// Pausa o stream (e o polling) de status quando a aba estiver oculta
 document.addEventListener('visibilitychange', () => {
   if (document.hidden) {
-    if (waPollInterval) { clearInterval(waPollInterval); waPollInterval = null; }
-  } else {
-    if (waCurrentInstance && waCurrentToken && !waPollInterval) {
-      waPollInterval = setInterval(updateWhatsAppStatus, 4000);
-    }
+    stopWhatsAppUpdates();
+  } else if (waCurrentInstance && waCurrentToken && !waStream && !waPollInterval) {
+    startWhatsAppUpdates();
   }
 });
 
 // Limpeza ao descarregar a página
-window.addEventListener('beforeunload', () => {
-  if (waPollInterval) clearInterval(waPollInterval);
+window.addEventListener('beforeunload', (e) => {
+  // Campanha em andamento: pede confirmação antes de sair
+  if (waCampaign && waCampaign.state === 'running') {
+    e.preventDefault();
+    e.returnValue = '';
+  }
+  stopWhatsAppUpdates();
 });
 
 /* =========================================================
@@ -1766,14 +6116,22 @@ window.openMetricModal = openMetricModal;
 window.closeMetricModal = closeMetricModal;
 window.populateModalTable = populateModalTable;
 window.filterTable = filterTable;
+window.exportAnalyticsReport = exportAnalyticsReport;
 
 window.addProduct = addProduct;
 window.openEditProduct = openEditProduct;
 window.saveEditProduct = saveEditProduct;
+window.toggleProductStatus = toggleProductStatus;
 window.removeProduct = removeProduct;
+window.exportProducts = exportProducts;
+window.addVariantRow = addVariantRow;
 
 window.saveProfile = saveProfile;
 
 window.createWhatsAppInstance = createWhatsAppInstance;
 window.setWhatsAppWebhook = setWhatsAppWebhook;
 window.sendWhatsAppTest = sendWhatsAppTest;
+window.loadWhatsAppInstances = loadWhatsAppInstances;
+window.selectWhatsAppInstance = selectWhatsAppInstance;
+
+window.switchOrganization = switchOrganization;